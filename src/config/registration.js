@@ -0,0 +1,23 @@
+// Who may register. Only addresses on ALLOWED_EMAIL_DOMAINS (comma-separated,
+// subdomains included) can sign up on their own; anyone else needs an invite
+// from an admin (services/invites.js). Set it to "*" to allow every domain.
+const ALLOWED_EMAIL_DOMAINS = (process.env.ALLOWED_EMAIL_DOMAINS || 'iitrpr.ac.in')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+  .filter(Boolean);
+
+const emailDomain = (email) => {
+  const at = String(email || '').lastIndexOf('@');
+  return at === -1 ? '' : String(email).slice(at + 1).trim().toLowerCase();
+};
+
+const isAllowedEmailDomain = (email) => {
+  if (ALLOWED_EMAIL_DOMAINS.includes('*')) return true;
+  const domain = emailDomain(email);
+  return !!domain && ALLOWED_EMAIL_DOMAINS.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`));
+};
+
+module.exports = {
+  ALLOWED_EMAIL_DOMAINS,
+  isAllowedEmailDomain
+};
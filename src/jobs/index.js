@@ -0,0 +1,32 @@
+// Periodic background jobs, run in-process next to the API server
+const { expireStaleOffers } = require('../services/offers');
+const { releaseExpiredReservations } = require('../services/reservations');
+const { sendSavedSearchDigests } = require('../services/savedSearches');
+const { sendNotificationDigests } = require('../services/notificationDigests');
+const { deleteOldNotifications } = require('../services/notificationRetention');
+
+const MINUTE = 60 * 1000;
+
+const jobs = [
+  { name: 'expire-offers', interval: 15 * MINUTE, run: expireStaleOffers },
+  { name: 'release-reservations', interval: 15 * MINUTE, run: releaseExpiredReservations },
+  { name: 'saved-search-digests', interval: 60 * MINUTE, run: sendSavedSearchDigests },
+  { name: 'notification-digests', interval: 60 * MINUTE, run: sendNotificationDigests },
+  { name: 'notification-retention', interval: 6 * 60 * MINUTE, run: deleteOldNotifications }
+];
+
+const startJobs = () => {
+  for (const job of jobs) {
+    const timer = setInterval(async () => {
+      try {
+        await job.run();
+      } catch (err) {
+        console.error(`Job ${job.name} failed:`, err);
+      }
+    }, job.interval);
+    // Don't keep the process alive just for the jobs
+    timer.unref();
+  }
+};
+
+module.exports = { startJobs };
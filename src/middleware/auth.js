@@ -1,27 +1,36 @@
 const User = require('../models/user');
+const { findSession, touchSession } = require('../services/sessions');
+
+// Resolve the session an auth cookie belongs to. Returns { user, session } or
+// { error } with the reason the cookie was rejected. Shared with the
+// WebSocket server (services/realtime.js).
+const findUserByAuthCookie = async (authCookie) => {
+  if (!authCookie) {
+    return { error: 'Unauthorized: No auth cookie provided' };
+  }
+
+  const session = await findSession(authCookie);
+  if (!session) {
+    return { error: 'Unauthorized: Invalid or expired session. Please log in again.' };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    return { error: 'Unauthorized: Invalid auth cookie' };
+  }
+
+  await touchSession(session);
+  return { user, session };
+};
 
 const authenticate = async (req, res, next) => {
   try {
     const authCookie = req.cookies?.authCookie || req.headers['auth-cookie'] || req.body.authCookie || req.headers['authCookie'];
-    if (!authCookie) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Unauthorized: No auth cookie provided' 
-      });
-    }
-
-    const user = await User.findOne({ authCookie: authCookie });
-    if (!user) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'Unauthorized: Invalid auth cookie' 
-      });
-    }
-
-    if (user.authCookieExpires < Date.now()) {
+    const { user, session, error } = await findUserByAuthCookie(authCookie);
+    if (error) {
       return res.status(401).json({ 
         success: false, 
-        error: 'Auth cookie expired. Please log in again.' 
+        error 
       });
     }
 
@@ -29,6 +38,7 @@ const authenticate = async (req, res, next) => {
     user.lastSeen = Date.now();
     await user.save();
     req.user = user;
+    req.authSession = session;
 
     if (user.isBlocked){
       return res.status(403).json({
@@ -56,4 +66,5 @@ const authenticate = async (req, res, next) => {
   }
 };
 
-module.exports = authenticate;
\ No newline at end of file
+module.exports = authenticate;
+module.exports.findUserByAuthCookie = findUserByAuthCookie;
\ No newline at end of file
@@ -8,6 +8,21 @@ const errorHandler = (err, req, res, next) => {
   }
 
   // Handle specific error types
+  if (err.name === 'HttpError') {
+    return res.status(err.status).json({
+      success: false,
+      error: err.message
+    });
+  }
+
+  // Upload rejected by middleware/upload.js (too large, too many files...)
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      success: false,
+      error: err.message
+    });
+  }
+
   if (err.name === 'ValidationError') {
     return res.status(400).json({
       success: false,
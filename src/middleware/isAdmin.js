@@ -1,4 +1,5 @@
 const User = require('../models/user');
+const { hasAdminAccess } = require('../services/twoFactor');
 
 const isAdmin = async (req, res, next) => {
   try {
@@ -13,6 +14,15 @@ const isAdmin = async (req, res, next) => {
       return res.status(405).json({ success: false, message: 'Admin privileges required' });
     }
 
+    // When 2FA is required for admins, they must enable it first
+    if (!(await hasAdminAccess(user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for admin accounts. Enable it at /api/2fa.',
+        twoFactorSetupRequired: true
+      });
+    }
+
     next();
   } catch (error) {
     console.error('Admin auth error:', error);
@@ -0,0 +1,42 @@
+const { createStore } = require('../services/rateLimitStores');
+
+// Shared by every limiter, so one process keeps a single set of counters.
+// Created when the app loads: an unknown RATE_LIMIT_STORE stops the server
+// instead of silently disabling the limits.
+const defaultStore = createStore();
+
+// The client IP. Behind a reverse proxy this is only the real client's
+// address when TRUST_PROXY is set (see server.js); otherwise every client
+// shares the proxy's IP.
+const byIp = (req) => req.ip;
+
+// Rate limiting middleware. Allows `max` requests per `windowMs` for each
+// key returned by `keyOf(req)` (the client IP by default), then answers 429
+// with a Retry-After header. Requests without a key (e.g. a missing
+// identifier, rejected later by the route) are not counted.
+//
+//   router.post('/login', rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 20 }), ...)
+const rateLimit = ({ name, windowMs, max, keyOf = byIp, message, store }) => async (req, res, next) => {
+  try {
+    const key = keyOf(req);
+    if (key === undefined || key === null || key === '') return next();
+
+    const { count, resetAt } = await (store || defaultStore)
+      .increment(`${name}:${String(key).toLowerCase()}`, windowMs);
+    if (count <= max) return next();
+
+    const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      error: message || `Too many attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+      retryAfter
+    });
+  } catch (err) {
+    // A store that is down (e.g. the database) must not lock everybody out
+    console.error('Rate limit error:', err);
+    next();
+  }
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,13 @@
+const multer = require('multer');
+
+// Shared multer instance for image uploads. Files are kept in memory and
+// handed to services/imagePipeline.js, which validates and re-encodes them.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: 5
+  }
+});
+
+module.exports = upload;
@@ -6,37 +6,47 @@ const ConversationSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   }],
-  messages: [{
-    messageId: {
-      type: Number,
-      default: 1
-    },
+  // Listing the conversation is about, if any: one thread per pair of users
+  // and item, plus one general thread per pair (no item)
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'itemType',
+    default: null
+  },
+  itemType: {
+    type: String,
+    enum: ['Product', 'Donations', 'LostItem']
+  },
+  // Last message each participant has read, keyed by user ID
+  readState: {
+    type: Map,
+    of: new mongoose.Schema({
+      lastReadMessageId: {
+        type: Number,
+        default: 0
+      },
+      readAt: Date
+    }, { _id: false }),
+    default: {}
+  },
+  // Preview of the latest message, kept up to date by services/chat.js
+  lastMessage: {
+    messageId: Number,
     sender: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    text: {
-      type: String,
-      required: true
+      ref: 'User'
     },
-    // For replying to messages or products
-    replyTo: {
-      id: {
-        type: mongoose.Schema.Types.Mixed, // Can be messageId (Number) or productId (ObjectId)
-        default: null
-      },
-      type: {
-        type: String,
-        enum: ['message', 'product'],
-        default: null
-      }
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+    text: String,
+    attachmentCount: Number,
+    deleted: Boolean,
+    createdAt: Date
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Next messageId to hand out, incremented atomically by services/chat.js.
+  // The messages themselves are in the Message collection.
   nextMessageId: {
     type: Number,
     default: 1
@@ -45,6 +55,9 @@ const ConversationSchema = new mongoose.Schema({
 
 // Ensure exactly two participants
 ConversationSchema.index({ participants: 1 });
+ConversationSchema.index({ participants: 1, item: 1 });
+// Conversation list, most recent first
+ConversationSchema.index({ participants: 1, lastActivityAt: -1 });
 
 ConversationSchema.path('participants').validate(function (value) {
   return value.length === 2;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ImageRefSchema = require('./imageRef');
 
 const DonationsSchema = new mongoose.Schema({
   name: { 
@@ -6,10 +7,7 @@ const DonationsSchema = new mongoose.Schema({
     required: true 
   },
   description: String,
-  images: [{
-    data: Buffer,
-    contentType: String
-  }],
+  images: [ImageRefSchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Reference to an image kept in the image store (services/imageStore)
+const ImageRefSchema = new mongoose.Schema({
+  imageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Small rendition for lists, see services/imagePipeline.js
+  thumbnailId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  contentType: String
+}, { _id: false });
+
+module.exports = ImageRefSchema;
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Lets one email address outside the allowed domains (config/registration.js)
+// register, e.g. alumni or staff with a personal address. The token is
+// emailed to that address; only its SHA-256 hash is stored.
+const InviteSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['alumni', 'staff', 'other'],
+    default: 'other'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+InviteSchema.statics.hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+InviteSchema.virtual('status').get(function() {
+  if (this.usedAt) return 'used';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= Date.now()) return 'expired';
+  return 'pending';
+});
+
+InviteSchema.set('toJSON', { virtuals: true });
+InviteSchema.set('toObject', { virtuals: true });
+
+InviteSchema.index({ email: 1 });
+InviteSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Invite', InviteSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ImageRefSchema = require('./imageRef');
 const Schema = mongoose.Schema;
 
 const lostItemSchema = new Schema({
@@ -14,10 +15,7 @@ const lostItemSchema = new Schema({
     type: String,
     required: true,
   },
-  images: [{
-    data: String,
-    contentType: String
-  }],
+  images: [ImageRefSchema],
   user: {
     type: Schema.Types.ObjectId,
     ref: 'User',
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// A file sent with a message. Images go through services/imagePipeline.js
+// and have a thumbnail; other files (PDF receipts) are stored as they are.
+// Both live in the image store with { kind: 'chat', conversationId } metadata
+// so routes/images.js can restrict them to the conversation.
+const AttachmentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['image', 'file'],
+    required: true
+  },
+  imageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  thumbnailId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  contentType: String,
+  name: String,
+  size: Number
+}, { _id: false });
+
+// A chat message. Messages used to be embedded in Conversation.messages;
+// they live in their own collection so long chats are not bound by the
+// document size limit. messageId is allocated per conversation from
+// Conversation.nextMessageId (see services/chat.js).
+const MessageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  messageId: {
+    type: Number,
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 'offer' messages show an offer made through the product offer routes;
+  // their text is a summary kept in sync with the offer (services/chat.js)
+  kind: {
+    type: String,
+    enum: ['text', 'offer'],
+    default: 'text'
+  },
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  // A message has text, attachments or both, unless it was deleted
+  text: {
+    type: String,
+    default: '',
+    required: function () {
+      return !this.deletedAt && (!this.attachments || this.attachments.length === 0);
+    }
+  },
+  attachments: [AttachmentSchema],
+  // For replying to messages or products
+  replyTo: {
+    id: {
+      type: mongoose.Schema.Types.Mixed, // Can be messageId (Number) or productId (ObjectId)
+      default: null
+    },
+    type: {
+      type: String,
+      enum: ['message', 'product'],
+      default: null
+    }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when the message is edited or deleted, so clients can sync changes
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  editedAt: Date,
+  // A deleted message stays as a tombstone (no text or attachments) so the
+  // messageId sequence has no gaps
+  deletedAt: Date,
+  // Previous versions of an edited or deleted message, only shown to admins
+  // reviewing a reported chat
+  history: {
+    type: [{
+      action: {
+        type: String,
+        enum: ['edited', 'deleted']
+      },
+      text: String,
+      attachments: [AttachmentSchema],
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  }
+});
+
+// Pagination by messageId within a conversation
+MessageSchema.index({ conversation: 1, messageId: 1 }, { unique: true });
+// Edits and deletions since a client's last sync
+MessageSchema.index({ conversation: 1, updatedAt: 1 });
+MessageSchema.index({ offer: 1 }, { sparse: true });
+
+module.exports = mongoose.model('Message', MessageSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const notificationEvents = require('../services/notificationEvents');
+
+// Ways a notification of a given type reaches a user (see services/notify.js)
+const CHANNELS = ['in_app', 'email', 'off'];
 
 const notificationSchema = new mongoose.Schema({
   notificationId: {
@@ -17,11 +21,23 @@ const notificationSchema = new mongoose.Schema({
       'offer_rejected', 
       'product_updated', 
       'offer_received',
+      'offer_countered',
+      'offer_withdrawn',
+      'offer_expired',
+      'handover_completed',
+      'reservation_expired',
+      'review_received',
+      'price_dropped',
+      'saved_item_reserved',
+      'saved_item_sold',
+      'saved_item_closed',
+      'saved_item_available',
+      'saved_search_match',
       'report_reviewed',
       'user_blocked',
       'user_unblocked',
       'product_deleted', 
-      'warnings_received'
+      'warning_received'
     ],
     required: true
   },
@@ -45,24 +61,75 @@ const notificationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Kept by the user: hidden from the default list and never removed by the
+  // retention cleanup (services/notificationRetention.js)
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  // Created during the user's quiet hours: clients should not alert
+  silent: {
+    type: Boolean,
+    default: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Next notificationId of a user. The sequence lives on the user so IDs keep
+// increasing after notifications are deleted; users created before it
+// existed start after their highest stored notificationId.
+const nextNotificationId = async (Notification, userId) => {
+  const User = mongoose.model('User');
+  const increment = () => User.findOneAndUpdate(
+    { _id: userId, notificationSeq: { $exists: true } },
+    { $inc: { notificationSeq: 1 } },
+    { new: true, projection: { notificationSeq: 1 } }
+  );
+
+  let user = await increment();
+  if (!user) {
+    const lastNotification = await Notification.findOne({ userId }, { notificationId: 1 })
+      .sort({ notificationId: -1 });
+    await User.updateOne(
+      { _id: userId, notificationSeq: { $exists: false } },
+      { $set: { notificationSeq: lastNotification ? lastNotification.notificationId : 0 } }
+    );
+    user = await increment();
+  }
+  return user ? user.notificationSeq : 1;
+};
+
 notificationSchema.pre('save', async function(next) {
+  this.$locals.wasNew = this.isNew;
   if (this.isNew) {
-    const lastNotification = await this.constructor.findOne(
-      { userId: this.userId },
-      { notificationId: 1 }
-    ).sort({ notificationId: -1 });
-
-    if (lastNotification) {
-      this.notificationId = lastNotification.notificationId + 1;
-    }
+    this.notificationId = await nextNotificationId(this.constructor, this.userId);
   }
   next();
 });
 
+notificationSchema.statics.TYPES = notificationSchema.path('type').enumValues;
+notificationSchema.statics.CHANNELS = CHANNELS;
+
+// Push every new notification to open streams, wherever it was created
+notificationSchema.post('save', function(doc) {
+  if (doc.$locals.wasNew) {
+    notificationEvents.emit(doc.userId.toString(), doc);
+  }
+});
+
+// Per-user sequence, used by the stream to resume after Last-Event-ID
+notificationSchema.index({ userId: 1, notificationId: 1 });
+// Listing (newest first) and the unread badge count
+notificationSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ userId: 1, read: 1 });
+// Retention cleanup of old read notifications
+notificationSchema.index({ read: 1, createdAt: 1 });
+
 module.exports = mongoose.model('Notification', notificationSchema);
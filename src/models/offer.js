@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const OFFER_STATUSES = ['pending', 'countered', 'accepted', 'declined', 'withdrawn', 'expired'];
+
+// Offers that can still be acted upon
+const OPEN_OFFER_STATUSES = ['pending', 'countered'];
+
+const OfferSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  offerPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Price proposed by the seller when the offer is countered
+  counterPrice: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: OFFER_STATUSES,
+    default: 'pending'
+  },
+  // Every transition the offer went through, oldest first
+  history: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: OFFER_STATUSES,
+      required: true
+    },
+    price: Number,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date
+}, { timestamps: true });
+
+OfferSchema.index({ product: 1, status: 1 });
+OfferSchema.index({ buyer: 1, createdAt: -1 });
+OfferSchema.index({ status: 1, expiresAt: 1 });
+
+OfferSchema.statics.STATUSES = OFFER_STATUSES;
+OfferSchema.statics.OPEN_STATUSES = OPEN_OFFER_STATUSES;
+
+OfferSchema.methods.isOpen = function() {
+  return OPEN_OFFER_STATUSES.includes(this.status);
+};
+
+module.exports = mongoose.model('Offer', OfferSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const ImageRefSchema = require('./imageRef');
 
 const ProductSchema = new mongoose.Schema({
   name: {
@@ -11,10 +12,7 @@ const ProductSchema = new mongoose.Schema({
     required: true,
     maxlength: 1000
   },
-  images: [{
-    data: Buffer,
-    contentType: String
-  }],
+  images: [ImageRefSchema],
   category: {
     type: String,
     enum: ['electronics', 'furniture', 'books', 'clothing', 'others'],
@@ -27,7 +25,7 @@ const ProductSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['available', 'sold', 'closed', 'deleted'],
+    enum: ['available', 'reserved', 'sold', 'closed', 'deleted'],
     default: 'available'
   },
   createdAt: {
@@ -48,20 +46,36 @@ const ProductSchema = new mongoose.Schema({
     ref: 'User'
   },
   transactionDate: Date,
+  // Set while the product is reserved for the buyer whose offer was accepted.
+  // The buyer shows the handover code to the seller when they meet.
+  reservedAt: Date,
+  reservationExpiresAt: Date,
+  handoverCode: {
+    type: String,
+    select: false
+  },
   transactionPrice: {
     type: Number
   },
-  offerRequests: [{
-    offerPrice: Number,
-    buyer: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }]
+  // Number of open offers, kept in sync by services/offers.js so listings
+  // can be sorted by it
+  offerCount: {
+    type: Number,
+    default: 0
+  }
 }, { timestamps: true });
 
+// Full-text search over the listing title and description
+ProductSchema.index(
+  { name: 'text', description: 'text' },
+  { weights: { name: 5, description: 1 }, name: 'ProductTextIndex' }
+);
+
+// Keyset pagination indexes for the buyer-facing listing sort modes
+ProductSchema.index({ status: 1, createdAt: -1, _id: -1 });
+ProductSchema.index({ status: 1, price: 1, _id: 1 });
+ProductSchema.index({ status: 1, offerCount: -1, _id: -1 });
+ProductSchema.index({ seller: 1, status: 1 });
+ProductSchema.index({ status: 1, reservationExpiresAt: 1 });
+
 module.exports = mongoose.model('Product', ProductSchema);
\ No newline at end of file
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Request counter of one rate-limit key for the current window, used by the
+// mongo rate-limit store (services/rateLimitStores.js)
+const RateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Finished windows are removed by MongoDB
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
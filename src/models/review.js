@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const ReviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Side of the transaction the reviewer was on
+  reviewerRole: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5,
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Each party reviews the other once per transaction
+ReviewSchema.index({ product: 1, reviewer: 1 }, { unique: true });
+ReviewSchema.index({ reviewee: 1, createdAt: -1 });
+
+// Recompute the aggregated reputation stored on the reviewed user
+ReviewSchema.statics.updateReputation = async function(userId) {
+  const [stats] = await this.aggregate([
+    { $match: { reviewee: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: null, score: { $avg: '$rating' }, reviewCount: { $sum: 1 } } }
+  ]);
+
+  const reputation = {
+    score: stats ? Math.round(stats.score * 10) / 10 : 0,
+    reviewCount: stats ? stats.reviewCount : 0
+  };
+  await mongoose.model('User').updateOne({ _id: userId }, { $set: { reputation } });
+  return reputation;
+};
+
+module.exports = mongoose.model('Review', ReviewSchema);
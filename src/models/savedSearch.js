@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const SavedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 60
+  },
+  // Every word has to appear in the product name or description
+  keywords: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  category: {
+    type: String,
+    enum: ['electronics', 'furniture', 'books', 'clothing', 'others'],
+    default: null
+  },
+  maxPrice: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  // Also send new matches in a daily email
+  emailDigest: {
+    type: Boolean,
+    default: false
+  },
+  lastDigestAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+SavedSearchSchema.index({ user: 1 });
+SavedSearchSchema.index({ category: 1, maxPrice: 1 });
+
+const tokenize = (text) => (text || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+SavedSearchSchema.methods.matches = function(product) {
+  if (this.category && product.category !== this.category) return false;
+  if (this.maxPrice !== null && this.maxPrice !== undefined && product.price > this.maxPrice) return false;
+
+  const haystack = `${product.name} ${product.description}`.toLowerCase();
+  return tokenize(this.keywords).every(word => haystack.includes(word));
+};
+
+module.exports = mongoose.model('SavedSearch', SavedSearchSchema);
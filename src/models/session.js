@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// A logged-in device. The auth cookie holds a random token; only its SHA-256
+// hash is stored, so a leaked database cannot be used to log in.
+const SessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+SessionSchema.statics.hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Listing a user's sessions
+SessionSchema.index({ user: 1, lastUsedAt: -1 });
+// Expired sessions are removed by MongoDB
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Site-wide settings that admins can change at runtime. There is a single
+// document (_id 'site'); a setting left null falls back to its environment
+// default.
+const SiteSettingSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'site'
+  },
+  // Admin routes refuse admins without two-factor authentication
+  // (services/twoFactor.js). Defaults to REQUIRE_ADMIN_2FA.
+  requireAdmin2FA: {
+    type: Boolean,
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('SiteSetting', SiteSettingSchema);
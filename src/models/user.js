@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const ImageRefSchema = require('./imageRef');
 
 const AddressSchema = new mongoose.Schema({
   street: String,
@@ -9,11 +10,48 @@ const AddressSchema = new mongoose.Schema({
   country: { type: String, default: "India" }
 });
 
-const UserSchema = new mongoose.Schema({
-  profilePicture: {
-    data: Buffer,
-    contentType: String
+// Per-type notification channel ('in_app', 'email' or 'off'; types not
+// listed use the default from services/notify.js), quiet hours during
+// which notifications are delivered silently and no email is sent, and the
+// daily email digest of unread notifications
+const NotificationSettingsSchema = new mongoose.Schema({
+  types: {
+    type: Map,
+    of: {
+      type: String,
+      enum: ['in_app', 'email', 'off']
+    },
+    default: {}
+  },
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Local time, HH:MM
+    start: {
+      type: String,
+      default: '22:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Invalid time']
+    },
+    end: {
+      type: String,
+      default: '07:00',
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Invalid time']
+    }
+  },
+  emailDigest: {
+    type: Boolean,
+    default: false
   },
+  lastDigestAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+const UserSchema = new mongoose.Schema({
+  profilePicture: ImageRefSchema,
   userName: { 
     type: String, 
     required: true,
@@ -51,6 +89,22 @@ const UserSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   }],
+  // Wishlist
+  savedProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // Aggregated from the reviews received, see models/review.js
+  reputation: {
+    score: {
+      type: Number,
+      default: 0
+    },
+    reviewCount: {
+      type: Number,
+      default: 0
+    }
+  },
   registrationDate: {
     type: Date,
     default: Date.now
@@ -80,20 +134,68 @@ const UserSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  authCookie: {
+  notificationSettings: {
+    type: NotificationSettingsSchema,
+    default: () => ({})
+  },
+  // Last notificationId handed out to this user (models/notification.js).
+  // Kept here so deleting notifications never frees an ID for reuse.
+  notificationSeq: {
+    type: Number
+  },
+  // Google account ("sub" of its ID tokens) that can log in as this user
+  // (services/googleAuth.js)
+  googleId: {
     type: String,
-    default: null
+    unique: true,
+    sparse: true
   },
-  authCookieCreated: {
-    type: Date,
-    default: null
+  // TOTP two-factor authentication (services/twoFactor.js). The secret and
+  // the SHA-256 hashes of the unused recovery codes are never selected by
+  // default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown by /api/2fa/setup, until it is confirmed with a code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      default: 0
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Wrong passwords since the last successful login, and the end of the
+  // temporary lockout they triggered (services/accountLockout.js)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
   },
-  authCookieExpires: {
+  lockUntil: {
     type: Date,
     default: null
   }
 });
 
+// Look up the users who saved a product when it changes
+UserSchema.index({ savedProducts: 1 });
+
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
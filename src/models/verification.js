@@ -1,15 +1,36 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
 
 const VerificationSchema = new mongoose.Schema({
+  // 'email': proving an email address (registration, password reset)
+  // 'login_2fa': a login waiting for its second factor (services/twoFactor.js)
+  purpose: {
+    type: String,
+    enum: ['email', 'login_2fa'],
+    default: 'email'
+  },
+  // User logging in, for 'login_2fa'
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   email: {
     type: String,
     required: true,
     lowercase: true,
     trim: true
   },
+  // Stored hashed, like passwords; see services/otp.js. Not used when the
+  // email was proven with a Google ID token instead.
   otp: {
     type: String,
-    required: true
+    required: function() { return this.purpose === 'email' && !this.googleId; }
+  },
+  // Google account that proved the email, linked to the user on registration
+  googleId: {
+    type: String,
+    default: null
   },
   verificationId: {
     type: String,
@@ -19,6 +40,19 @@ const VerificationSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Invite letting an email outside the allowed domains register
+  // (config/registration.js)
+  invite: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invite',
+    default: null
+  },
+  // Wrong codes entered; the OTP (or login) stops working after
+  // OTP_MAX_ATTEMPTS
+  attempts: {
+    type: Number,
+    default: 0
+  },
   expiresAt: {
     type: Date,
     required: true
@@ -30,4 +64,11 @@ const VerificationSchema = new mongoose.Schema({
   }
 });
 
+// Hash the OTP before saving
+VerificationSchema.pre('save', async function(next) {
+  if (!this.isModified('otp') || !this.otp) return next();
+  this.otp = await bcrypt.hash(this.otp, 10);
+  next();
+});
+
 module.exports = mongoose.model('Verification', VerificationSchema);
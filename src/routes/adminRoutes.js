@@ -12,9 +12,16 @@ const LostItem = require('../models/lostItem');
 const UserReport = require('../models/UserReport');
 const ProductReport = require('../models/ProductReport')
 const Conversation = require('../models/conversation');
-const Notification = require('../models/notification');
+const Message = require('../models/message');
+const { toMessageResponse, populateOffers } = require('../services/chat');
+const { dispatchNotification } = require('../services/notify');
 const BlockList = require('../models/blockList');
 const Verification = require('../models/verification');
+const { deleteImages, imageIdsOf } = require('../services/imageStore');
+const Invite = require('../models/invite');
+const { usableFilter, createInvite } = require('../services/invites');
+const { isAllowedEmailDomain } = require('../config/registration');
+const { isAdminTwoFactorRequired, setAdminTwoFactorRequired } = require('../services/twoFactor');
 
 // Apply isAdmin middleware to all routes
 router.use(authenticate, isAdmin);
@@ -1060,7 +1067,7 @@ router.get('/users/:id', async (req, res) => {
     
     // Find user
     const user = await User.findById(userId)
-      .select('-password -authCookie -authCookieCreated -authCookieExpires');
+      .select('-password');
     
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
@@ -1070,7 +1077,7 @@ router.get('/users/:id', async (req, res) => {
     const products = await Product.find({ seller: userId })
       .populate('buyer', 'userName')
       .populate('seller', 'userName')
-      .select('-images -offerRequests')
+      .select('-images')
       .sort({ createdAt: -1 })
       .limit(10)
       .lean();
@@ -1079,7 +1086,7 @@ router.get('/users/:id', async (req, res) => {
     const purchasedProducts = await Product.find({ buyer: userId })
       .populate('buyer', 'userName')
       .populate('seller', 'userName')
-      .select('-images -offerRequests')
+      .select('-images')
       .populate('seller', 'userName')
       .sort({ transactionDate: -1 })
       .limit(10)
@@ -1330,6 +1337,8 @@ router.delete('/products/:id', async (req, res) => {
     if (!product) {
       return res.status(404).json({ success: false, message: 'Product not found' });
     }
+
+    await deleteImages(imageIdsOf(product.images));
     
     res.status(200).json({
       success: true,
@@ -1505,9 +1514,15 @@ router.get('/reports/:reportId', async (req, res) => {
       // Don't try to populate the conversationId directly
       // Fetch the conversation separately if needed
       if (report && report.includeChat && report.conversationId) {
-        const conversation = await Conversation.findById(report.conversationId);
+        const conversation = await Conversation.findById(report.conversationId).lean();
         if (conversation) {
           // Add the conversation data to the report object but don't save to DB
+          const messages = await Message.find({ conversation: conversation._id })
+            .select('+history')
+            .sort({ messageId: 1 })
+            .lean();
+          await populateOffers(messages);
+          conversation.messages = messages.map(toMessageResponse);
           report = report.toObject(); // Convert Mongoose document to plain object
           report.conversationData = conversation;
         }
@@ -1588,13 +1603,11 @@ router.post('/users/:userId/block', async (req, res) => {
     await user.save();
     
     // Create notification for the blocked user
-    const notification = new Notification({
+    await dispatchNotification({
       userId: user._id,
       type: 'user_blocked',
-      message: `Your account has been blocked. Reason: ${reason}`,
-      read: false
+      message: `Your account has been blocked. Reason: ${reason}`
     });
-    await notification.save();
     
     return res.status(200).json({
       success: true,
@@ -1651,13 +1664,11 @@ router.post('/users/:userId/unblock', async (req, res) => {
     await user.save();
     
     // Create notification for the unblocked user
-    const notification = new Notification({
+    await dispatchNotification({
       userId: user._id,
       type: 'user_unblocked',
-      message: 'Your account has been unblocked. You can now use all platform features.',
-      read: false
+      message: 'Your account has been unblocked. You can now use all platform features.'
     });
-    await notification.save();
     
     return res.status(200).json({
       success: true,
@@ -1753,25 +1764,21 @@ router.post('/reports/:reportId/resolve/block-user', async (req, res) => {
     await report.save();
     
     // Create notification for the blocked user
-    const blockedNotification = new Notification({
+    await dispatchNotification({
       userId: userToBlock._id,
       type: 'user_blocked',
       message: `Your account has been blocked. Reason: ${blockReason}`,
-      reportId: reportId,
-      read: false
+      reportId: reportId
     });
-    await blockedNotification.save();
     
     // Create notification for the reporter
     if (reporterUser) {
-      const reporterNotification = new Notification({
+      await dispatchNotification({
         userId: reporterUser._id,
         type: 'report_reviewed',
         message: `Your report has been resolved. The reported user has been blocked.`,
-        reportId: reportId,
-        read: false
+        reportId: reportId
       });
-      await reporterNotification.save();
     }
     
     return res.status(200).json({
@@ -1841,28 +1848,24 @@ router.post('/reports/:reportId/resolve/delete-product', async (req, res) => {
     
     // Create notification for the product seller
     if (productSeller) {
-      const sellerNotification = new Notification({
+      await dispatchNotification({
         userId: productSeller._id,
         type: 'product_deleted',
         message: `Your product "${report.product.name}" has been deleted. Reason: ${deleteReason}`,
-        read: false,
         productId: report.product._id,
         reportId: reportId
       });
-      await sellerNotification.save();
     }
     
     // Create notification for the reporter
     if (reporterUser) {
-      const reporterNotification = new Notification({
+      await dispatchNotification({
         userId: reporterUser._id,
         type: 'report_reviewed',
         message: `Your report has been resolved. The reported product has been deleted.`,
-        read: false,
         productId: report.product._id,
         reportId: reportId
       });
-      await reporterNotification.save();
     }
     
     return res.status(200).json({
@@ -1947,25 +1950,21 @@ router.post('/reports/:reportId/resolve/issue-warning', async (req, res) => {
     await userToWarn.save();
     
     // Create notification for the warned user
-    const warnedNotification = new Notification({
+    await dispatchNotification({
       userId: userToWarn._id,
       type: 'warning_received',
       message: warningMessage,
-      reportId: reportId,
-      read: false
+      reportId: reportId
     });
-    await warnedNotification.save();
     
     // Create notification for the reporter
     if (report.reporter) {
-      const reporterNotification = new Notification({
+      await dispatchNotification({
         userId: report.reporter._id,
         type: 'report_reviewed',
         message: `Your report has been resolved. A warning has been issued to the ${reportType === 'user' ? 'user' : 'product seller'}.`,
-        reportId: reportId,
-        read: false
+        reportId: reportId
       });
-      await reporterNotification.save();
     }
     
     return res.status(200).json({
@@ -2026,14 +2025,12 @@ router.post('/reports/:reportId/dismiss', async (req, res) => {
     
     // Create notification for the reporter
     if (report.reporter) {
-      const reporterNotification = new Notification({
+      await dispatchNotification({
         userId: report.reporter._id,
         type: 'report_reviewed',
         message: `Your report has been reviewed but was dismissed. No action has been taken.`,
-        reportId: reportId,
-        read: false
+        reportId: reportId
       });
-      await reporterNotification.save();
     }
     
     return res.status(200).json({
@@ -2080,11 +2077,21 @@ router.get('/reports/:reportId/messages', async (req, res) => {
     }
 
     const conversation = await Conversation.findById(report.conversationId)
-      .populate('participants', 'userName');
+      .populate('participants', 'userName')
+      .lean();
       
     if (!conversation) {
       return res.status(404).json({ success: false, error: 'Conversation not found' });
     }
+
+    // Messages are stored in their own collection; the whole chat is shared
+    // Including what was edited or deleted since
+    const messages = await Message.find({ conversation: conversation._id })
+      .select('+history')
+      .sort({ messageId: 1 })
+      .lean();
+    await populateOffers(messages);
+    conversation.messages = messages.map(toMessageResponse);
     
     res.json({ success: true, conversation });
 
@@ -2097,4 +2104,180 @@ router.get('/reports/:reportId/messages', async (req, res) => {
   }
 });
 
+/*** SETTINGS ROUTES ***/
+
+// Site settings admins can change
+router.get('/settings', async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      settings: { requireAdmin2FA: await isAdminTwoFactorRequired() }
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error: ' + error.message
+    });
+  }
+});
+
+// { requireAdmin2FA: true|false }. An admin has to enable 2FA before
+// requiring it, or they would lock themselves out of these routes.
+router.put('/settings', async (req, res) => {
+  try {
+    const { requireAdmin2FA } = req.body;
+    if (typeof requireAdmin2FA !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireAdmin2FA must be true or false'
+      });
+    }
+
+    if (requireAdmin2FA && !(req.user.twoFactor && req.user.twoFactor.enabled)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable two-factor authentication on your own account before requiring it for admins'
+      });
+    }
+
+    await setAdminTwoFactorRequired(requireAdmin2FA, req.user);
+    return res.status(200).json({
+      success: true,
+      settings: { requireAdmin2FA }
+    });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error: ' + error.message
+    });
+  }
+});
+
+/*** INVITE ROUTES ***/
+
+// Registration invites for alumni, staff and others outside the allowed
+// email domains. ?status=pending|used|revoked|expired
+router.get('/invites', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const now = new Date();
+    const filters = {
+      pending: usableFilter(),
+      used: { usedAt: { $ne: null } },
+      revoked: { usedAt: null, revokedAt: { $ne: null } },
+      expired: { usedAt: null, revokedAt: null, expiresAt: { $lte: now } }
+    };
+    if (status && !filters[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${Object.keys(filters).join(', ')}`
+      });
+    }
+
+    const invites = await Invite.find(status ? filters[status] : {})
+      .select('-tokenHash')
+      .populate('createdBy', 'userName email')
+      .populate('usedBy', 'userName email')
+      .sort({ createdAt: -1 });
+
+    return res.status(200).json({ success: true, invites });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error: ' + error.message
+    });
+  }
+});
+
+// Invite an email address to register. The token is emailed to it and also
+// returned here, once.
+router.post('/invites', async (req, res) => {
+  try {
+    const { email, kind, note, expiresInDays } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    if (isAllowedEmailDomain(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This address can already register without an invite'
+      });
+    }
+
+    if (await User.exists({ email: email.trim().toLowerCase() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already registered'
+      });
+    }
+
+    const { invite, token } = await createInvite({
+      email,
+      kind,
+      note,
+      expiresInDays,
+      createdBy: req.user._id
+    });
+
+    const response = invite.toJSON();
+    delete response.tokenHash;
+    return res.status(201).json({ success: true, invite: response, token });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Create invite error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error: ' + error.message
+    });
+  }
+});
+
+// Revoke an invite that has not been used yet
+router.delete('/invites/:inviteId', async (req, res) => {
+  try {
+    const { inviteId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(inviteId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid invite ID format'
+      });
+    }
+
+    const invite = await Invite.findOneAndUpdate(
+      { _id: inviteId, usedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    ).select('-tokenHash');
+
+    if (!invite) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found or already used'
+      });
+    }
+
+    return res.status(200).json({ success: true, message: 'Invite revoked', invite });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Server error: ' + error.message
+    });
+  }
+});
+
 module.exports = router;
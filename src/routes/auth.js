@@ -1,18 +1,101 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const crypto = require('crypto');
-const multer = require('multer');
 const User = require('../models/user');
 const Verification = require('../models/verification.js');
 const authenticate = require('../middleware/auth');
-const nodemailer = require('nodemailer');
+const { sendTemplate } = require('../services/mail');
+const upload = require('../middleware/upload');
+const { storeImage } = require('../services/imagePipeline');
+const { createSession, setSessionCookie, revokeSessions } = require('../services/sessions');
+const { disconnectSessions } = require('../services/realtime');
+const { OTP_TTL_MINUTES, createOtp, createVerifiedEmail, verifyOtp } = require('../services/otp');
+const { lockoutMinutesLeft, recordFailedLogin, clearFailedLogins } = require('../services/accountLockout');
+const rateLimit = require('../middleware/rateLimit');
+const HttpError = require('../utils/httpError');
+const { verifyGoogleIdToken } = require('../services/googleAuth');
+const { createLoginChallenge, completeLoginChallenge } = require('../services/twoFactor');
+const Invite = require('../models/invite');
+const { ALLOWED_EMAIL_DOMAINS, isAllowedEmailDomain } = require('../config/registration');
+const { usableFilter, findUsableInvite, redeemInvite, releaseInvite } = require('../services/invites');
+
+const MINUTE = 60 * 1000;
+
+// Brute-force protection: per client IP, and per account / email / OTP
+// session so a distributed attack on one account is limited too
+const limitLoginByIp = rateLimit({ name: 'login-ip', windowMs: 15 * MINUTE, max: 30 });
+const limitLoginByIdentifier = rateLimit({
+  name: 'login-identifier',
+  windowMs: 15 * MINUTE,
+  max: 10,
+  keyOf: req => req.body.identifier
+});
+const limitOtpSendByIp = rateLimit({ name: 'otp-send-ip', windowMs: 60 * MINUTE, max: 10 });
+const limitRegisterOtpByEmail = rateLimit({
+  name: 'otp-send-email',
+  windowMs: 15 * MINUTE,
+  max: 3,
+  keyOf: req => req.body.email
+});
+const limitResetOtpByIdentifier = rateLimit({
+  name: 'otp-send-identifier',
+  windowMs: 15 * MINUTE,
+  max: 3,
+  keyOf: req => req.body.identifier
+});
+const limitOtpVerifyByIp = rateLimit({ name: 'otp-verify-ip', windowMs: 15 * MINUTE, max: 30 });
+const limitTwoFactorByIp = rateLimit({ name: '2fa-verify-ip', windowMs: 15 * MINUTE, max: 30 });
+
+const domainRestrictionError = () =>
+  `Registration is limited to ${ALLOWED_EMAIL_DOMAINS.map(domain => `@${domain}`).join(', ')} addresses. Ask an admin for an invite.`;
+
+// Addresses outside the institute domains need an invite for that address.
+// Returns the invite (null when none is needed) or throws a 403.
+const registrationInvite = async (email, inviteToken) => {
+  if (isAllowedEmailDomain(email)) return null;
+  if (!inviteToken) {
+    throw new HttpError(403, domainRestrictionError());
+  }
+  const invite = await findUsableInvite(inviteToken, email);
+  if (!invite) {
+    throw new HttpError(403, 'Invalid or expired invite');
+  }
+  return invite;
+};
+
+const loginResponse = (user, token) => ({
+  success: true,
+  message: "Login successful",
+  authCookie: token,
+  user: {
+    id: user._id,
+    userName: user.userName,
+    email: user.email,
+    role: user.role
+  }
+});
+
+// Log a user in on this device, unless they use two-factor authentication:
+// then the client gets a verificationId to send with a code to /login/2fa
+const startLogin = async (user, req, res) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    const verificationId = await createLoginChallenge(user);
+    return res.json({
+      success: true,
+      twoFactorRequired: true,
+      message: 'Enter the code from your authenticator app',
+      verificationId
+    });
+  }
 
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+  // Every login gets its own session, so devices can be logged out separately
+  const { token } = await createSession(user, req);
+  setSessionCookie(res, token);
+  res.json(loginResponse(user, token));
+};
 
 // Login route
-router.post('/login', upload.none(), async (req, res) => {
+router.post('/login', limitLoginByIp, upload.none(), limitLoginByIdentifier, async (req, res) => {
   try {
     const { identifier, password } = req.body;
 
@@ -24,79 +107,113 @@ router.post('/login', upload.none(), async (req, res) => {
     // 3) Look up the user by email or userName
     const user = await User.findOne({
       $or: [{ email: identifier }, { userName: identifier }]
-    }).select('+password userName email role authCookie authCookieExpires');
+    }).select('+password userName email role failedLoginAttempts lockUntil twoFactor.enabled');
 
     if (!user) {
       return res.status(401).json({ success: false, error: 'Invalid credentials' });
     }
 
+    // Locked accounts are refused before the password is even checked
+    const minutesLeft = lockoutMinutesLeft(user);
+    if (minutesLeft > 0) {
+      return res.status(423).json({
+        success: false,
+        error: `Too many failed login attempts. Account locked, try again in ${minutesLeft} minute(s).`
+      });
+    }
+
     // 4) Verify the password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
-      return res.status(401).json({ success: false, error: 'Invalid credentials' });
+      const locked = await recordFailedLogin(user, req);
+      return res.status(locked ? 423 : 401).json({
+        success: false,
+        error: locked ? 'Too many failed login attempts. Account temporarily locked.' : 'Invalid credentials'
+      });
     }
-
-    let authCookieToUse;
-    if (user.authCookie && user.authCookieExpires >= Date.now()) {
-      authCookieToUse = user.authCookie;
-    } else {
-      authCookieToUse = crypto.randomBytes(64).toString('hex');
-      user.authCookie = authCookieToUse;
-      user.authCookieCreated = new Date();
-      user.authCookieExpires = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-      await user.save();
+    // With 2FA the failures are only cleared once the code is accepted
+    // too, so wrong codes keep adding up across fresh logins
+    if (!(user.twoFactor && user.twoFactor.enabled)) {
+      await clearFailedLogins(user);
     }
 
-    // Set it as an HTTP‑only cookie
-    res.cookie('authCookie', authCookieToUse, {
-      httpOnly: true,
-      secure: true,
-      sameSite: 'none',
-      maxAge: 30 * 24 * 60 * 60 * 1000
-    });
-
-    res.json({
-      success: true,
-      message: "Login successful",
-      authCookie: authCookieToUse,
-      user: {
-        id: user._id,
-        userName: user.userName,
-        email: user.email,
-        role: user.role
-      }
-    });
+    await startLogin(user, req, res);
   } catch (err) {
     console.error('Login error:', err);
     res.status(500).json({ success: false, error: 'Server error', message: err.message });
   }
 });
 
-const sendEmail = async ({ to, subject, text, html }) => {
-  // Create a transporter
-  const transporter = nodemailer.createTransport({
-    service: 'gmail', // or use SMTP details
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASSWORD
-    }
-  });
-
-  // Send mail
-  const info = await transporter.sendMail({
-    from: `"OLX for IITRPR" <${process.env.EMAIL_USER}>`,
-    to,
-    subject,
-    text,
-    html: html || text
-  });
-
-  return info;
-};
+// Second login step for users with two-factor authentication:
+// { verificationId, code } or { verificationId, recoveryCode }
+router.post('/login/2fa', limitTwoFactorByIp, async (req, res) => {
+  try {
+    const { verificationId, code, recoveryCode } = req.body;
+    const user = await completeLoginChallenge(verificationId, { code, recoveryCode }, req);
 
-router.post('/send-register-otp', async (req, res) => {
+    const { token } = await createSession(user, req);
+    setSessionCookie(res, token);
+
+    res.json(loginResponse(user, token));
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    console.error('Two-factor login error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Login with a Google ID token
+router.post('/login/google', limitLoginByIp, async (req, res) => {
+  try {
+    const identity = await verifyGoogleIdToken(req.body.idToken);
+
+    let user = await User.findOne({ googleId: identity.googleId })
+      .select('userName email role failedLoginAttempts lockUntil twoFactor.enabled');
+
+    // A verified Google email proves ownership just like the registration
+    // OTP did, so the account with that email is linked on first use
+    if (!user && identity.email && identity.emailVerified) {
+      user = await User.findOneAndUpdate(
+        { email: identity.email, googleId: { $exists: false } },
+        { $set: { googleId: identity.googleId } },
+        {
+          new: true,
+          projection: { userName: 1, email: 1, role: 1, failedLoginAttempts: 1, lockUntil: 1, 'twoFactor.enabled': 1 }
+        }
+      );
+    }
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'No account is linked to this Google account. Please register first.' });
+    }
+
+    // A lockout from password guessing applies to every way of logging in
+    const minutesLeft = lockoutMinutesLeft(user);
+    if (minutesLeft > 0) {
+      return res.status(423).json({
+        success: false,
+        error: `Too many failed login attempts. Account locked, try again in ${minutesLeft} minute(s).`
+      });
+    }
+
+    await startLogin(user, req, res);
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    console.error('Google login error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+router.post('/send-register-otp', limitOtpSendByIp, limitRegisterOtpByEmail, async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email, inviteToken } = req.body;
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ success: false, error: 'Email is required' });
+    }
     
     // Check if email already exists
     const existingUser = await User.findOne({ email });
@@ -107,30 +224,13 @@ router.post('/send-register-otp', async (req, res) => {
       });
     }
 
-    // 2) Remove any existing OTPs for this email
-    await Verification.deleteMany({ email }); 
-    
-    // Generate a 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Generate a verification ID
-    const verificationId = crypto.randomBytes(64).toString('hex');
-    
-    // Store OTP in database with expiry (15 minutes)
-    const verification = new Verification({
-      email,
-      otp,
-      verificationId,
-      expiresAt: new Date(Date.now() + 15 * 60 * 1000)
-    });
-    await verification.save();
+    const invite = await registrationInvite(email, inviteToken);
+
+    // Replaces any earlier OTP for this email
+    const { otp, verificationId } = await createOtp(email, { invite: invite ? invite._id : null });
     
     // Send email with OTP
-    await sendEmail({
-      to: email,
-      subject: 'Email Verification OTP',
-      text: `Your OTP for email verification is: ${otp}. It will expire in 15 minutes.`
-    });
+    await sendTemplate('otp', email, { otp, expiresInMinutes: OTP_TTL_MINUTES });
     
     res.status(200).json({ 
       success: true, 
@@ -138,12 +238,15 @@ router.post('/send-register-otp', async (req, res) => {
       verificationId
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error('Send OTP error:', error);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
-router.post('/send-reset-otp', async (req, res) => {
+router.post('/send-reset-otp', limitOtpSendByIp, limitResetOtpByIdentifier, async (req, res) => {
   try {
     const { identifier } = req.body;
     if (!identifier) {
@@ -161,27 +264,11 @@ router.post('/send-reset-otp', async (req, res) => {
 
     const email = user.email;
 
-    // Delete any existing reset OTPs for this email
-    await Verification.deleteMany({ email });
-
-    // Generate 6‑digit OTP + verificationId
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const verificationId = crypto.randomBytes(32).toString('hex');
-
-    // Save to Verification collection (expires in 15m)
-    await new Verification({
-      email,
-      otp,
-      verificationId,
-      expiresAt: new Date(Date.now() + 15 * 60 * 1000)
-    }).save();
+    // Replaces any earlier OTP for this email
+    const { otp, verificationId } = await createOtp(email);
 
     // Email the OTP
-    await sendEmail({
-      to: email,
-      subject: 'Password Reset OTP',
-      text: `Your password reset OTP is: ${otp}. It expires in 15 minutes.`
-    });
+    await sendTemplate('passwordReset', email, { otp, expiresInMinutes: OTP_TTL_MINUTES });
 
     res.status(200).json({
       success: true,
@@ -194,66 +281,67 @@ router.post('/send-reset-otp', async (req, res) => {
   }
 });
 
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', limitOtpVerifyByIp, async (req, res) => {
   try {
     const { otp, verificationId } = req.body;
     
-    // Find the verification record
-    const verification = await Verification.findOne({
-      verificationId,
-      expiresAt: { $gt: new Date() }
-    });
-    
-    if (!verification) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid or expired verification session'
-      });
-    }
-    
-    // Check if OTP matches
-    if (verification.otp !== otp) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid OTP'
-      });
-    }
-    
-    // Mark as verified
-    verification.verified = true;
-    await verification.save();
+    // Checks the OTP (limited number of attempts) and marks it verified
+    await verifyOtp(verificationId, otp);
     
     res.status(200).json({
       success: true,
       message: 'Email verified successfully'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error('Verify OTP error:', error);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
-router.post('/verify-google', async (req, res) => {
+// Register with Google: a verified Google ID token proves the email address
+// in place of an OTP. Returns a verificationId for /register, which also
+// links the Google account to the new user.
+router.post('/verify-google', limitOtpVerifyByIp, async (req, res) => {
   try {
-    const { email, googleId } = req.body;
+    const { idToken, inviteToken } = req.body;
+    const identity = await verifyGoogleIdToken(idToken);
+    if (!identity.email || !identity.emailVerified) {
+      return res.status(400).json({ success: false, error: 'Your Google account has no verified email address' });
+    }
+    const { email, googleId } = identity;
     
     // Check if email already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Email already registered' 
+        error: 'Email already registered. Log in with Google instead.' 
       });
     }
-    
-    // Verify with Google API if needed
-    // This is simplified - in a real app you'd verify the token with Google
+    if (await User.exists({ googleId })) {
+      return res.status(400).json({ success: false, error: 'This Google account is already linked to a user' });
+    }
+
+    const invite = await registrationInvite(email, inviteToken);
+    const verificationId = await createVerifiedEmail(email, {
+      googleId,
+      invite: invite ? invite._id : null
+    });
     
     res.status(200).json({
       success: true,
-      message: 'Email verified with Google'
+      message: 'Email verified with Google',
+      verificationId,
+      email,
+      name: identity.name
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.message });
+    }
     console.error('Google verification error:', error);
     res.status(500).json({ success: false, error: 'Server error' });
   }
@@ -269,6 +357,7 @@ router.post('/register', upload.single('profilePicture'), async (req, res) => {
 
     const verification = await Verification.findOne({
       verificationId,
+      purpose: 'email',
       expiresAt: { $gt: new Date() }
     });
 
@@ -281,6 +370,16 @@ router.post('/register', upload.single('profilePicture'), async (req, res) => {
 
     const email = verification.email;
 
+    // Checked again in case the allowed domains or the invite changed since
+    // the OTP was sent
+    let invite = null;
+    if (!isAllowedEmailDomain(email)) {
+      invite = verification.invite && await Invite.findOne({ _id: verification.invite, email, ...usableFilter() });
+      if (!invite) {
+        return res.status(403).json({ success: false, error: domainRestrictionError() });
+      }
+    }
+
     const newUser = new User({
       userName,
       email,
@@ -289,28 +388,34 @@ router.post('/register', upload.single('profilePicture'), async (req, res) => {
       address: JSON.parse(address),
       role: role === 'volunteer' ? 'volunteer_pending' : 'user'
     });
+    if (verification.googleId) {
+      newUser.googleId = verification.googleId;
+    }
 
-    if (req.file) {
-      newUser.profilePicture = {
-        data: req.file.buffer,
-        contentType: req.file.mimetype
-      };
+    // Claim the invite before creating the account, so a used or revoked
+    // invite (or two registrations racing) can't slip through
+    if (invite && !(await redeemInvite(invite._id, newUser._id))) {
+      return res.status(403).json({ success: false, error: 'Invalid or expired invite' });
     }
 
-    await newUser.save();
+    try {
+      if (req.file) {
+        newUser.profilePicture = await storeImage(req.file.buffer, {
+          name: 'Profile picture',
+          metadata: { kind: 'profilePicture', owner: newUser._id }
+        });
+      }
 
-    const newAuthCookie = crypto.randomBytes(64).toString('hex');
-    newUser.authCookie = newAuthCookie;
-    newUser.authCookieCreated = new Date();
-    newUser.authCookieExpires = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
-    await newUser.save();
+      await newUser.save();
+    } catch (err) {
+      if (invite) {
+        await releaseInvite(invite._id, newUser._id);
+      }
+      throw err;
+    }
 
-    res.cookie('authCookie', newAuthCookie, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 30 * 24 * 60 * 60 * 1000
-    });
+    const { token } = await createSession(newUser, req);
+    setSessionCookie(res, token);
 
     await Verification.deleteMany({ email }); 
     
@@ -322,9 +427,12 @@ router.post('/register', upload.single('profilePicture'), async (req, res) => {
         email: newUser.email,
         role: newUser.role
       },
-      authCookie: newAuthCookie
+      authCookie: token
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
     console.error('Registration error:', err);
     if (err.code === 11000) {
       const field = Object.keys(err.keyPattern)[0];
@@ -345,6 +453,7 @@ router.post('/reset-password', async (req, res) => {
     // Find a matching, unexpired verification record
     const verification = await Verification.findOne({
       verificationId,
+      purpose: 'email',
       expiresAt: { $gt: new Date() }
     });
 
@@ -364,6 +473,10 @@ router.post('/reset-password', async (req, res) => {
     }
     user.password = newPassword;
     await user.save();
+    await clearFailedLogins(user);
+
+    // Whoever knew the old password is logged out everywhere
+    disconnectSessions(await revokeSessions({ user: user._id }));
 
     // Delete all reset OTPs for this email
     await Verification.deleteMany({ email });
@@ -382,10 +495,8 @@ router.post('/reset-password', async (req, res) => {
 // Logout route
 router.post('/logout', authenticate, async (req, res) => {
   try {
-    req.user.authCookie = null;
-    req.user.authCookieCreated = null;
-    req.user.authCookieExpires = null;
-    await req.user.save();
+    // Only this device is logged out; see routes/sessions.js for the others
+    disconnectSessions(await revokeSessions({ _id: req.authSession._id, user: req.user._id }));
 
     res.clearCookie('authCookie');
     res.json({ success: true, message: 'Logged out successfully' });
@@ -413,4 +524,45 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
+// Link a Google account to the current user, to log in with it
+router.post('/me/google', authenticate, async (req, res) => {
+  try {
+    const { googleId, email } = await verifyGoogleIdToken(req.body.idToken);
+
+    const owner = await User.findOne({ googleId }).select('_id');
+    if (owner && !owner._id.equals(req.user._id)) {
+      return res.status(409).json({ success: false, error: 'This Google account is already linked to another user' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $set: { googleId } });
+    res.json({ success: true, message: 'Google account linked', googleEmail: email });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ success: false, error: 'This Google account is already linked to another user' });
+    }
+    console.error('Google link error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Unlink the current user's Google account (their password keeps working)
+router.delete('/me/google', authenticate, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id, googleId: { $exists: true } },
+      { $unset: { googleId: '' } }
+    );
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ success: false, error: 'No Google account is linked' });
+    }
+    res.json({ success: true, message: 'Google account unlinked' });
+  } catch (err) {
+    console.error('Google unlink error:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
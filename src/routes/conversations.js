@@ -3,46 +3,87 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const Conversation = require('../models/conversation');
 const authenticate = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const Message = require('../models/message');
 const BlockList = require('../models/blockList');
+const { isOnline } = require('../services/realtime');
+const {
+  otherParticipant,
+  markRead,
+  countUnread,
+  openConversation,
+  toItemSummary,
+  toMessageResponse,
+  postMessage,
+  editMessage,
+  deleteMessage,
+  populateOffers
+} = require('../services/chat');
 
-// Create or retrieve a conversation
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const PREVIEW_LENGTH = 100;
+
+// Create or retrieve a conversation. With itemType ('product', 'donation' or
+// 'lostItem') and itemId, the conversation is about that item; productId is
+// accepted as a shorthand for a product.
 router.post('/', authenticate, async (req, res) => {
   try {
-    const { participantId } = req.body;
-    
-    if (!participantId) {
-      return res.status(400).json({ success: false, error: 'participantId is required' });
-    }
-    
-    const participants = [req.user._id, participantId].sort();
-    
-    let conversation = await Conversation.findOne({
-      participants: { $all: participants }
+    const { participantId, productId } = req.body;
+    const itemType = productId ? 'product' : req.body.itemType;
+    const itemId = productId || req.body.itemId;
+
+    const conversation = await openConversation({
+      user: req.user,
+      participantId,
+      itemType,
+      itemId
     });
     
-    if (!conversation) {
-      conversation = new Conversation({
-        participants,
-        nextMessageId: 1
-      });
-      await conversation.save();
-    }
-    
     res.json({ success: true, conversation });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
     console.error(err);
     res.status(500).json({ success: false, error: 'Server error', message: err.message });
   }
 });
 
-// Get all conversations for current user
+// Get all conversations for current user, most recent activity first, with
+// the unread count and a preview of the last message
 router.get('/', authenticate, async (req, res) => {
   try {
+    const userId = req.user._id.toString();
     const conversations = await Conversation.find({
       participants: req.user._id
     })
-    .populate('participants', 'userName')
+    .sort({ lastActivityAt: -1, updatedAt: -1 })
+    .populate('participants', 'userName lastSeen')
+    .populate('item', 'name price status images')
     .lean();
+
+    // Users who blocked the current user: their messages stay hidden
+    const blocks = await BlockList.find({ blocked: req.user._id }).select('blocker').lean();
+    const blockedBy = blocks.map(b => b.blocker.toString());
+
+    for (const conversation of conversations) {
+      // Presence as of now; live updates come over the WebSocket channel
+      for (const participant of conversation.participants) {
+        participant.online = isOnline(participant._id);
+      }
+
+      const other = otherParticipant(conversation, userId);
+      const hidden = other && blockedBy.includes(other._id.toString());
+      const lastMessage = conversation.lastMessage;
+
+      conversation.unreadCount = hidden ? 0 : await countUnread(conversation, userId);
+      conversation.lastMessage = lastMessage && !(hidden && lastMessage.sender.toString() !== userId)
+        ? { ...lastMessage, text: lastMessage.text.slice(0, PREVIEW_LENGTH) }
+        : null;
+      delete conversation.readState;
+      conversation.item = toItemSummary(conversation.item, conversation.itemType);
+    }
     
     res.json({ success: true, conversations });
   } catch (err) {
@@ -55,7 +96,9 @@ router.get('/', authenticate, async (req, res) => {
 router.get('/:conversationId', authenticate, async (req, res) => {
   try {
     const conversation = await Conversation.findById(req.params.conversationId)
-      .populate('participants', 'userName');
+      .populate('participants', 'userName')
+      .populate('item', 'name price status images')
+      .lean();
       
     if (!conversation) {
       return res.status(404).json({ success: false, error: 'Conversation not found' });
@@ -64,6 +107,8 @@ router.get('/:conversationId', authenticate, async (req, res) => {
     if (!conversation.participants.some(p => p._id.toString() === req.user._id.toString())) {
       return res.status(405).json({ success: false, error: 'Access denied' });
     }
+
+    conversation.item = toItemSummary(conversation.item, conversation.itemType);
     
     res.json({ success: true, conversation });
   } catch (err) {
@@ -72,11 +117,21 @@ router.get('/:conversationId', authenticate, async (req, res) => {
   }
 });
 
-// Fetch messages after a specific ID
+// Fetch messages, oldest first. Pages are selected by messageId:
+// - ?after=<id> (or the older ?lastId=) syncs forwards from a known message
+// - ?before=<id> pages backwards through the history
+// - with neither, the latest messages are returned
+// With ?changedSince=<syncedAt of the previous call>, messages edited or
+// deleted since then are returned as well, in `changed`, whatever page was
+// asked for. At most MAX_PAGE_SIZE changes come back at once: with
+// `changedHasMore`, syncedAt is where that batch stopped, so passing it as the
+// next changedSince continues from there.
 router.get('/:conversationId/messages', authenticate, async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { lastId } = req.query;
+    const { before, limit, changedSince } = req.query;
+    let syncedAt = new Date();
+    const after = req.query.after || req.query.lastId;
     
     const conversation = await Conversation.findById(conversationId);
     
@@ -87,50 +142,96 @@ router.get('/:conversationId/messages', authenticate, async (req, res) => {
     if (!conversation.participants.some(p => p._id.toString() === req.user._id.toString())) {
       return res.status(405).json({ success: false, error: 'Access denied' });
     }
-    
-    let messages = [];
-    if (lastId) {
-      // Find messages after the lastId
-      const lastIdNum = parseInt(lastId);
-      messages = conversation.messages.filter(msg => msg.messageId > lastIdNum);
-    } else {
-      // Return all messages if no lastId provided
-      messages = conversation.messages;
+
+    if ((after && isNaN(parseInt(after))) || (before && isNaN(parseInt(before)))) {
+      return res.status(400).json({ success: false, error: 'after and before must be message IDs' });
     }
+
+    const changedSinceDate = changedSince ? new Date(changedSince) : null;
+    if (changedSinceDate && isNaN(changedSinceDate.getTime())) {
+      return res.status(400).json({ success: false, error: 'changedSince must be a valid date' });
+    }
+
+    const pageSize = Math.max(1, Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    const visible = { conversation: conversation._id };
     
-    // Check if the other user has blocked this user
-    const otherUserId = conversation.participants.find(
-      p => p.toString() !== req.user._id.toString()
-    );
-    
-    const blockExists = await BlockList.findOne({
-      blocker: otherUserId,
+    // If the other user has blocked this user, only show this user's own messages
+    const blockExists = await BlockList.exists({
+      blocker: otherParticipant(conversation, req.user._id),
       blocked: req.user._id
     });
-    
-    // If blocked, filter out messages that should be hidden
     if (blockExists) {
-      messages = messages.filter(msg =>
-        msg.sender.toString() === req.user._id.toString()
-      );
+      visible.sender = req.user._id;
+    }
+    const query = { ...visible };
+
+    // Fetch one extra message to know whether more remain in that direction
+    let messages;
+    if (after) {
+      query.messageId = { $gt: parseInt(after) };
+      messages = await Message.find(query)
+        .sort({ messageId: 1 })
+        .limit(pageSize + 1)
+        .lean();
+    } else {
+      if (before) {
+        query.messageId = { $lt: parseInt(before) };
+      }
+      messages = await Message.find(query)
+        .sort({ messageId: -1 })
+        .limit(pageSize + 1)
+        .lean();
     }
+
+    const hasMore = messages.length > pageSize;
+    if (hasMore) messages.pop();
+    if (!after) messages.reverse();
+
+    // Changes apply to messages the client already has, so they are not
+    // limited to the page selected above
+    let changed;
+    let changedHasMore = false;
+    if (changedSinceDate) {
+      changed = await Message.find({ ...visible, updatedAt: { $gt: changedSinceDate, $lte: syncedAt } })
+        .sort({ updatedAt: 1, _id: 1 })
+        .limit(MAX_PAGE_SIZE + 1)
+        .lean();
+
+      changedHasMore = changed.length > MAX_PAGE_SIZE;
+      if (changedHasMore) {
+        // Stop before the first change left out, and before any change made
+        // at the same instant, so resuming with $gt misses nothing
+        const next = changed.pop().updatedAt.getTime();
+        const batch = changed.filter(message => message.updatedAt.getTime() < next);
+        if (batch.length > 0) changed = batch;
+        syncedAt = changed[changed.length - 1].updatedAt;
+      }
+    }
+
+    await populateOffers(messages);
+    if (changed) await populateOffers(changed);
+
+    // How far the other participant has read, for read receipts
+    const otherReadState = !blockExists && conversation.readState.get(otherParticipant(conversation, req.user._id).toString());
     
-    res.json({ success: true, messages });
+    res.json({
+      success: true,
+      messages: messages.map(toMessageResponse),
+      hasMore,
+      changed: changed ? changed.map(toMessageResponse) : undefined,
+      changedHasMore: changed ? changedHasMore : undefined,
+      syncedAt,
+      otherLastReadMessageId: otherReadState ? otherReadState.lastReadMessageId : 0
+    });
   } catch (error) {
     console.error('Error fetching messages:', error);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
-// Send message - unified endpoint for all message types
-router.post('/:conversationId/messages', authenticate, async (req, res) => {
+// Mark a conversation read up to a message (by default its latest message)
+router.post('/:conversationId/read', authenticate, async (req, res) => {
   try {
-    const { text, replyTo, replyType, tempId } = req.body;
-    
-    if (!text) {
-      return res.status(400).json({ success: false, error: 'Message text is required' });
-    }
-    
     const conversation = await Conversation.findById(req.params.conversationId);
     
     if (!conversation) {
@@ -140,53 +241,130 @@ router.post('/:conversationId/messages', authenticate, async (req, res) => {
     if (!conversation.participants.some(p => p._id.toString() === req.user._id.toString())) {
       return res.status(405).json({ success: false, error: 'Access denied' });
     }
-    
-    const currentMessageId = conversation.nextMessageId || 1;
-    
-    const message = {
-      messageId: currentMessageId,
-      sender: req.user._id,
-      text,
-      createdAt: new Date()
-    };
-    
-    // Handle reply to message or product
-    if (replyTo && replyType) {
-      message.replyTo = {
-        id: replyTo,
-        type: replyType // 'message' or 'product'
-      };
+
+    const latestMessageId = conversation.nextMessageId - 1;
+    let messageId = latestMessageId;
+    if (req.body.messageId !== undefined) {
+      messageId = parseInt(req.body.messageId);
+      if (isNaN(messageId) || messageId < 0) {
+        return res.status(400).json({ success: false, error: 'messageId must be a message ID' });
+      }
+      messageId = Math.min(messageId, latestMessageId);
     }
+
+    const lastReadMessageId = await markRead(conversation, req.user._id, messageId);
+
+    res.json({ success: true, lastReadMessageId });
+  } catch (err) {
+    console.error('Error marking conversation read:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Send message - unified endpoint for all message types. Images and PDFs can
+// be attached as multipart 'attachments' files.
+router.post('/:conversationId/messages', authenticate, upload.array('attachments', 5), async (req, res) => {
+  try {
+    const { text, replyTo, replyType, tempId } = req.body;
+    const files = req.files || [];
     
-    // Check if the recipient has blocked the sender
-    const otherUserId = conversation.participants.find(
-      p => p.toString() !== req.user._id.toString()
-    );
+    if (!text && files.length === 0) {
+      return res.status(400).json({ success: false, error: 'Message text or an attachment is required' });
+    }
     
-    const blockExists = await BlockList.findOne({
-      blocker: otherUserId,
-      blocked: req.user._id
-    });
+    const conversation = await Conversation.findById(req.params.conversationId);
     
-    // Always increment message ID regardless of block status
-    conversation.nextMessageId = currentMessageId + 1;
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
     
-    if (!blockExists) {
-      conversation.messages.push(message);
+    if (!conversation.participants.some(p => p._id.toString() === req.user._id.toString())) {
+      return res.status(405).json({ success: false, error: 'Access denied' });
     }
     
-    await conversation.save();
+    const { messageId } = await postMessage({
+      conversation,
+      sender: req.user,
+      text,
+      replyTo,
+      replyType,
+      files
+    });
     
     res.json({
       success: true,
       message: 'Message sent',
-      messageId: currentMessageId,
+      messageId,
       tempId
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
     console.error(err);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
+// Load a conversation the current user takes part in, or send the error
+const loadParticipantConversation = async (req, res) => {
+  const conversation = await Conversation.findById(req.params.conversationId);
+  
+  if (!conversation) {
+    res.status(404).json({ success: false, error: 'Conversation not found' });
+    return null;
+  }
+  
+  if (!conversation.participants.some(p => p._id.toString() === req.user._id.toString())) {
+    res.status(405).json({ success: false, error: 'Access denied' });
+    return null;
+  }
+  return conversation;
+};
+
+// Edit a message (sender only, within MESSAGE_EDIT_WINDOW_MINUTES)
+router.patch('/:conversationId/messages/:messageId', authenticate, async (req, res) => {
+  try {
+    const conversation = await loadParticipantConversation(req, res);
+    if (!conversation) return;
+
+    const message = await editMessage({
+      conversation,
+      sender: req.user,
+      messageId: req.params.messageId,
+      text: req.body.text
+    });
+
+    res.json({ success: true, message: toMessageResponse(message.toObject()) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    console.error('Error editing message:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Delete a message for everyone (sender only); a tombstone keeps its messageId
+router.delete('/:conversationId/messages/:messageId', authenticate, async (req, res) => {
+  try {
+    const conversation = await loadParticipantConversation(req, res);
+    if (!conversation) return;
+
+    const message = await deleteMessage({
+      conversation,
+      sender: req.user,
+      messageId: req.params.messageId
+    });
+
+    res.json({ success: true, message: toMessageResponse(message.toObject()) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
+    console.error('Error deleting message:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
 module.exports = router;
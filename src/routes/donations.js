@@ -2,9 +2,9 @@ const express = require('express');
 const router = express.Router();
 const Donations = require('../models/donation');
 const authenticate = require('../middleware/auth');
-const multer = require('multer');
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+const { toImageResponse, withThumbnail } = require('../services/imageStore');
+const { storeUploadedImages } = require('../services/imagePipeline');
+const upload = require('../middleware/upload');
 
 // Get donation leaderboard
 router.get('/leaderboard', authenticate, async (req, res) => {
@@ -84,21 +84,11 @@ router.get('/', authenticate, async (req, res) => {
     query.status = 'available';
 
     const donations = await Donations.find(query)
-      .select('-images')
       .populate('donatedBy', 'userName')
-      .populate('collectedBy', 'userName');
-
-    // Don't return donation images here
-    // const donationsData = donations.map(donation => {
-    //   const donationObj = donation.toObject();
-    //   donationObj.images = (donationObj.images || []).map(img => ({
-    //     data: img.data ? img.data.toString('base64') : null,
-    //     contentType: img.contentType
-    //   }));
-    //   return donationObj;
-    // });
+      .populate('collectedBy', 'userName')
+      .lean();
 
-    res.json({ success: true, donations: donations });
+    res.json({ success: true, donations: donations.map(withThumbnail) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, error: 'Server error' });
@@ -119,13 +109,6 @@ router.get('/:donationId', authenticate, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Donation not found' });
     }
     
-    // Don't return donation images here
-    // Convert image buffers to base64
-    // donation.images = donation.images?.map(img => ({
-    //   data: img.data?.toString('base64'),
-    //   contentType: img.contentType
-    // })) || [];
-    
     res.json({ success: true, donation });
   } catch (err) {
     console.error('Error fetching donation: ', err);
@@ -146,13 +129,9 @@ router.get('/:donationId/main_image', authenticate, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Donation not found' });
     }
 
-    const numImages = (donation.images || []).length;
-    donation.images = donation.images?.map(img => ({
-      data: img.data?.toString('base64'),
-      contentType: img.contentType
-    })) || [];
+    const images = (donation.images || []).map(toImageResponse);
     
-    res.json({ success: true, image: donation.images[0], numImages });
+    res.json({ success: true, image: images[0], numImages: images.length });
   } catch (err) {
     console.error('Error fetching donation:', err);
     res.status(500).json({ success: false, error: 'Server error' });
@@ -172,12 +151,7 @@ router.get('/:donationId/images', authenticate, async (req, res) => {
       return res.status(404).json({ success: false, error: 'Donation not found' });
     }
     
-    donation.images = donation.images?.map(img => ({
-      data: img.data?.toString('base64'),
-      contentType: img.contentType
-    })) || [];
-    
-    res.json({ success: true, images: donation.images });
+    res.json({ success: true, images: (donation.images || []).map(toImageResponse) });
   } catch (err) {
     console.error('Error fetching donation:', err);
     res.status(500).json({ success: false, error: 'Server error' });
@@ -187,15 +161,12 @@ router.get('/:donationId/images', authenticate, async (req, res) => {
 // Add a donation (by normal user)
 router.post('/', authenticate, upload.array('images', 5), async (req, res) => {
   try {
-    const images = req.files.map(file => ({
-      data: file.buffer,
-      contentType: file.mimetype
-    }));
-
     if (!req.body.name || !req.body.description) {
       return res.status(400).json({ success: false, error: 'Missing required fields' });
     }
 
+    const images = await storeUploadedImages(req.files, { kind: 'donation', owner: req.user._id });
+
     const donationData = {
       name: req.body.name,
       description: req.body.description,
@@ -209,6 +180,9 @@ router.post('/', authenticate, upload.array('images', 5), async (req, res) => {
 
     res.status(201).json({ success: true, donation: newDonation });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
     console.error("Error in POST /donations:", err);
     res.status(500).json({ success: false, error: 'Server error', message: err.message });
   }
@@ -255,11 +229,11 @@ router.get('/volunteer/donations', authenticate, async (req, res) => {
     }
 
     const donations = await Donations.find({ collectedBy: req.user._id })
-      .select('-images')
       .populate('donatedBy', 'userName')
-      .sort({ createdAt: -1 });
+      .sort({ createdAt: -1 })
+      .lean();
 
-    res.json({ success: true, donations });
+    res.json({ success: true, donations: donations.map(withThumbnail) });
   } catch (err) {
     console.error('Error fetching volunteer donations:', err);
     res.status(500).json({ success: false, error: 'Server error' });
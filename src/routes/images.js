@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../middleware/auth');
+const { getImageInfo, sendImage } = require('../services/imageStore');
+const { canViewConversation } = require('../services/chat');
+
+// Stream an image from the image store. Chat attachments are only served to
+// those who can see the conversation.
+router.get('/:imageId', authenticate, async (req, res) => {
+  try {
+    const info = await getImageInfo(req.params.imageId);
+    if (!info) {
+      return res.status(404).json({ success: false, error: 'Image not found' });
+    }
+
+    if (info.metadata.kind === 'chat' && !(await canViewConversation(req.user, info.metadata.conversationId))) {
+      return res.status(405).json({ success: false, error: 'Access denied' });
+    }
+
+    await sendImage(req, res, info.imageId);
+  } catch (err) {
+    console.error('Error fetching image:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+module.exports = router;
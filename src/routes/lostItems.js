@@ -1,29 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const multer = require('multer');
+const upload = require('../middleware/upload');
 const LostItem = require('../models/lostItem');
-
-// Multer configuration
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB
-    files: 5
-  }
-});
+const {
+  deleteImages,
+  imageIdsOf,
+  toImageResponse,
+  withThumbnail
+} = require('../services/imageStore');
+const { storeUploadedImages } = require('../services/imagePipeline');
 
 // Create a new lost item
 router.post('/', auth, upload.array('images', 5), async (req, res) => {
   try {
     const { name, description, lastSeenLocation } = req.body;
     
-    // Convert images to base64
-    const images = req.files.map(file => ({
-      data: file.buffer.toString('base64'),
-      contentType: file.mimetype
-    }));
+    const images = await storeUploadedImages(req.files, { kind: 'lostItem', owner: req.user._id });
 
     const lostItem = new LostItem({
       name,
@@ -40,14 +33,14 @@ router.post('/', auth, upload.array('images', 5), async (req, res) => {
       item: lostItem
     });
   } catch (error) {
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
   }
 });
 
-// GET all lost items (no images)
+// GET all lost items (thumbnail of the first image only)
 router.get('/', auth, async (req, res) => {
   try {
     const filter = {
@@ -55,25 +48,23 @@ router.get('/', auth, async (req, res) => {
     };
 
     const items = await LostItem.find(filter)
-      .select('-images')
       .populate('user', 'userName email')
       .sort('-createdAt')
       .lean();
-    res.json({ success: true, items });
+    res.json({ success: true, items: items.map(withThumbnail) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// GET my-items (no images)
+// GET my-items (thumbnail of the first image only)
 router.get('/my-items', auth, async (req, res) => {
   try {
     const items = await LostItem.find({ user: req.user._id })
-      .select('-images')
       .sort('-createdAt')
       .lean();
-    res.json({ success: true, items });
+    res.json({ success: true, items: items.map(withThumbnail) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, error: err.message });
@@ -105,13 +96,9 @@ router.get('/:id/main_image', auth, async (req, res) => {
       .lean();
     if (!item) return res.status(404).json({ success: false, error: 'Item not found' });
 
-    const numImages = (item.images || []).length;
-    item.images = item.images?.map(img => ({
-      data: img.data?.toString('base64'),   
-      contentType: img.contentType
-    })) || [];
+    const images = (item.images || []).map(toImageResponse);
 
-    res.json({ success: true, image: item.images[0], numImages });
+    res.json({ success: true, image: images[0], numImages: images.length });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, error: 'Server error' });
@@ -127,12 +114,7 @@ router.get('/:id/images', auth, async (req, res) => {
 
     if (!item) return res.status(404).json({ success: false, error: 'Item not found' });
 
-    item.images = item.images?.map(img => ({
-      data: img.data?.toString('base64'),   
-      contentType: img.contentType
-    })) || [];
-
-    res.json({ success: true, images: item.images });
+    res.json({ success: true, images: (item.images || []).map(toImageResponse) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, error: 'Server error' });
@@ -225,6 +207,8 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
+    await deleteImages(imageIdsOf(item.images));
+
     res.json({
       success: true,
       message: 'Item deleted successfully'
@@ -1,25 +1,74 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Notification = require('../models/notification');
 const authenticate = require('../middleware/auth');
+const notificationEvents = require('../services/notificationEvents');
+const sessionEvents = require('../services/sessionEvents');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/cursor');
 
-// Get all notifications
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_BULK_DELETE = 100;
+
+// Comment line sent on idle streams so proxies keep the connection open
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+const populateNotification = (query) => query
+  .populate('productId', 'name status')
+  .populate('offerId', '_id status');
+
+// Get the user's notifications, newest first (cursor paginated).
+// Optional filters: ?type=offer_received,offer_accepted, ?read=true|false and
+// ?archived=true|false (archived notifications are left out by default)
 router.get('/', authenticate, async (req, res) => {
   try {
-    const notifications = await Notification.find({ 
-      userId: req.user._id 
-    })
-    .sort({ createdAt: -1 })
-    .populate('productId', 'name status')  // Add this line to populate product details
-    .populate('offerId', '_id status')     // Add this line to populate offer details
-    .lean();  // Convert to plain JavaScript objects
+    const { limit, cursor, type, read, archived = 'false' } = req.query;
+    const pageSize = Math.max(1, Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+
+    const filters = [{ userId: req.user._id }];
+    if (type) {
+      const types = String(type).split(',').map(t => t.trim()).filter(Boolean);
+      const unknown = types.filter(t => !Notification.TYPES.includes(t));
+      if (unknown.length > 0) {
+        return res.status(400).json({ success: false, error: `Unknown notification type: ${unknown.join(', ')}` });
+      }
+      filters.push({ type: { $in: types } });
+    }
+    if (read !== undefined) {
+      if (read !== 'true' && read !== 'false') {
+        return res.status(400).json({ success: false, error: 'read must be true or false' });
+      }
+      filters.push({ read: read === 'true' });
+    }
+    if (archived !== 'true' && archived !== 'false') {
+      return res.status(400).json({ success: false, error: 'archived must be true or false' });
+    }
+    filters.push(archived === 'true' ? { archived: true } : { archived: { $ne: true } });
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' });
+      }
+      filters.push(cursorFilter(decoded, 'createdAt', -1));
+    }
+
+    const notifications = await populateNotification(Notification.find({ $and: filters }))
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1)
+      .lean();
+
+    const hasMore = notifications.length > pageSize;
+    if (hasMore) notifications.pop();
 
     res.json({ 
       success: true, 
       notifications: notifications.map(notification => ({
         ...notification,
         read: notification.read || false,  // Ensure read status is included
-      }))
+      })),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(notifications[notifications.length - 1], 'createdAt') : null
     });
   } catch (err) {
     console.error('Error fetching notifications:', err);
@@ -30,16 +79,35 @@ router.get('/', authenticate, async (req, res) => {
   }
 });
 
-// Get notifications after a specific ID
+// Number of unread notifications, for the badge
+router.get('/unread-count', authenticate, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({
+      userId: req.user._id,
+      read: false,
+      archived: { $ne: true }
+    });
+    res.json({ success: true, count });
+  } catch (err) {
+    console.error('Error counting notifications:', err);
+    res.status(500).json({ success: false, error: 'Failed to count notifications' });
+  }
+});
+
+// Get notifications after a specific notificationId (the per-user sequence
+// number, not the document _id)
 router.get('/after/:notificationId', authenticate, async (req, res) => {
   try {
-    const notifications = await Notification.find({
+    const afterId = parseInt(req.params.notificationId);
+    if (isNaN(afterId)) {
+      return res.status(400).json({ success: false, error: 'notificationId must be a number' });
+    }
+
+    const notifications = await populateNotification(Notification.find({
       userId: req.user._id,
-      _id: { $gt: req.params.notificationId }
-    })
-    .sort({ createdAt: -1 })
-    .populate('productId', 'name status')
-    .populate('offerId', '_id status')
+      notificationId: { $gt: afterId }
+    }))
+    .sort({ notificationId: -1 })
     .lean();
 
     res.json({ 
@@ -57,9 +125,93 @@ router.get('/after/:notificationId', authenticate, async (req, res) => {
   }
 });
 
+// Server-Sent Events stream of new notifications. Each event carries the
+// notificationId as its id, so a reconnecting client (Last-Event-ID header,
+// or ?lastEventId=) first receives what it missed. The stream ends when its
+// session is revoked.
+router.get('/stream', authenticate, async (req, res) => {
+  const userId = req.user._id.toString();
+  const sessionId = req.authSession._id.toString();
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let lastSentId = isNaN(lastEventId) ? null : lastEventId;
+  const send = (notification) => {
+    if (res.writableEnded) return;
+    if (lastSentId !== null && notification.notificationId <= lastSentId) return;
+    lastSentId = notification.notificationId;
+    res.write(`id: ${notification.notificationId}\nevent: notification\ndata: ${JSON.stringify({
+      ...notification,
+      read: notification.read || false
+    })}\n\n`);
+  };
+
+  // Notifications created while the backlog is replayed are held back so
+  // they are sent in order. Events are loaded one after another on a chain,
+  // otherwise a slower lookup could finish after a newer one and be dropped.
+  let pending = [];
+  let chain = Promise.resolve();
+  const onNotification = (doc) => {
+    chain = chain.then(async () => {
+      const notification = await populateNotification(Notification.findById(doc._id)).lean();
+      if (!notification) return;
+      if (pending) {
+        pending.push(notification);
+      } else {
+        send(notification);
+      }
+    }).catch(err => {
+      console.error('Notification stream error:', err);
+    });
+  };
+  notificationEvents.on(userId, onNotification);
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+  const stop = () => {
+    clearInterval(heartbeat);
+    notificationEvents.off(userId, onNotification);
+    sessionEvents.off(sessionId, onRevoked);
+  };
+  const onRevoked = () => {
+    stop();
+    res.end();
+  };
+  sessionEvents.on(sessionId, onRevoked);
+  req.on('close', stop);
+
+  try {
+    if (lastSentId !== null) {
+      const missed = await populateNotification(Notification.find({
+        userId: req.user._id,
+        notificationId: { $gt: lastSentId }
+      }))
+      .sort({ notificationId: 1 })
+      .lean();
+      missed.forEach(send);
+    }
+    pending.sort((a, b) => a.notificationId - b.notificationId).forEach(send);
+    pending = null;
+  } catch (err) {
+    console.error('Notification stream error:', err);
+    res.end();
+  }
+});
+
 // Mark notification as read
-router.put('/notifications/:id/read', authenticate, async (req, res) => {
+// (also at the old /notifications/:id/read path used by existing clients)
+router.put(['/:id/read', '/notifications/:id/read'], authenticate, async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid notification ID' });
+    }
+
     const notification = await Notification.findOneAndUpdate(
       { _id: req.params.id, userId: req.user._id },
       { $set: { read: true } },
@@ -83,7 +235,8 @@ router.put('/notifications/:id/read', authenticate, async (req, res) => {
 });
 
 // Mark all notifications as read
-router.put('/notifications/read-all', authenticate, async (req, res) => {
+// (also at the old /notifications/read-all path)
+router.put(['/read-all', '/notifications/read-all'], authenticate, async (req, res) => {
   try {
     await Notification.updateMany(
       { userId: req.user._id },
@@ -99,4 +252,79 @@ router.put('/notifications/read-all', authenticate, async (req, res) => {
   }
 });
 
+// Archive a notification (PUT /:id/archive) or move it back to the list
+// (PUT /:id/unarchive)
+const setArchived = (archived) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid notification ID' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id },
+      { $set: { archived, archivedAt: archived ? new Date() : null } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    res.json({ success: true, notification });
+  } catch (err) {
+    console.error('Error archiving notification:', err);
+    res.status(500).json({ success: false, error: 'Failed to update notification' });
+  }
+};
+
+router.put('/:id/archive', authenticate, setArchived(true));
+router.put('/:id/unarchive', authenticate, setArchived(false));
+
+// Delete several notifications: { ids: [...] }, or { read: true } to clear
+// every read notification that is not archived
+router.delete('/', authenticate, async (req, res) => {
+  try {
+    const { ids, read } = req.body || {};
+
+    let query;
+    if (Array.isArray(ids)) {
+      if (ids.length === 0 || ids.length > MAX_BULK_DELETE) {
+        return res.status(400).json({ success: false, error: `ids must list 1 to ${MAX_BULK_DELETE} notifications` });
+      }
+      if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({ success: false, error: 'Invalid notification ID' });
+      }
+      query = { userId: req.user._id, _id: { $in: ids } };
+    } else if (read === true) {
+      query = { userId: req.user._id, read: true, archived: { $ne: true } };
+    } else {
+      return res.status(400).json({ success: false, error: 'Provide ids or read: true' });
+    }
+
+    const result = await Notification.deleteMany(query);
+    res.json({ success: true, deletedCount: result.deletedCount });
+  } catch (err) {
+    console.error('Error deleting notifications:', err);
+    res.status(500).json({ success: false, error: 'Failed to delete notifications' });
+  }
+});
+
+// Delete a notification
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid notification ID' });
+    }
+
+    const result = await Notification.deleteOne({ _id: req.params.id, userId: req.user._id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ success: false, error: 'Notification not found' });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting notification:', err);
+    res.status(500).json({ success: false, error: 'Failed to delete notification' });
+  }
+});
+
 module.exports = router;
@@ -1,30 +1,47 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Product = require('../models/product');
 const User = require('../models/user');
-const Notification = require('../models/notification.js');
+const Offer = require('../models/offer');
 const authenticate = require('../middleware/auth');
-const multer = require('multer');
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+const {
+  placeOffer,
+  counterOffer,
+  withdrawOffer,
+  declineOffer,
+  acceptOffer,
+  cancelOpenOffers
+} = require('../services/offers');
+const { getHandoverCode, completeHandover } = require('../services/reservations');
+const { notifySavers } = require('../services/wishlist');
+const { notifyMatchingSearches } = require('../services/savedSearches');
+const {
+  deleteImages,
+  imageIdsOf,
+  toImageResponse,
+  withThumbnail
+} = require('../services/imageStore');
+const { storeUploadedImages } = require('../services/imagePipeline');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/cursor');
+const upload = require('../middleware/upload');
+const rateLimit = require('../middleware/rateLimit');
+const { hasAdminAccess } = require('../services/twoFactor');
 
 // Get user's purchased products (Move this route up, before other dynamic routes)
 router.get('/my-purchases', authenticate, async (req, res) => {
   try {
     const products = await Product.find({
       buyer: req.user._id,
-      status: 'sold'
+      status: { $in: ['reserved', 'sold'] }
     })
-    .populate('seller', 'userName')
+    .populate('seller', 'userName reputation')
     .lean();
 
-    // Convert image buffers to base64 and format response
+    // Return image URLs and the price actually paid
     const formattedProducts = products.map(product => ({
       ...product,
-      images: product.images?.map(img => ({
-        data: img.data?.toString('base64'),
-        contentType: img.contentType
-      })) || [],
+      images: (product.images || []).map(toImageResponse),
       price: product.transactionPrice || product.price
     }));
 
@@ -35,30 +52,126 @@ router.get('/my-purchases', authenticate, async (req, res) => {
   }
 });
 
+// Sort modes for the product listing: field and direction
+const SORT_MODES = {
+  newest: { field: 'createdAt', direction: -1 },
+  price_asc: { field: 'price', direction: 1 },
+  price_desc: { field: 'price', direction: -1 },
+  most_offers: { field: 'offerCount', direction: -1 }
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
 // Get all products
+// Query params: q, category, minPrice, maxPrice, seller, createdAfter,
+// status, sort (newest | price_asc | price_desc | most_offers), limit, cursor
 router.get('/', authenticate, async (req, res) => {
   try {
+    const {
+      q,
+      category,
+      minPrice,
+      maxPrice,
+      seller,
+      createdAfter,
+      status,
+      sort = 'newest',
+      limit,
+      cursor
+    } = req.query;
+
+    // A repeated key (?q=a&q=b) or bracket syntax (?status[$ne]=x) gives an
+    // array or object instead of a string
+    const textParams = { q, category, minPrice, maxPrice, seller, createdAfter, status, sort };
+    const invalidParam = Object.keys(textParams)
+      .find(name => textParams[name] !== undefined && typeof textParams[name] !== 'string');
+    if (invalidParam) {
+      return res.status(400).json({ success: false, error: `${invalidParam} must be a single value` });
+    }
+
+    const sortMode = Object.prototype.hasOwnProperty.call(SORT_MODES, sort) && SORT_MODES[sort];
+    if (!sortMode) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sort mode. Use one of: ${Object.keys(SORT_MODES).join(', ')}`
+      });
+    }
+
     const filter = {
-      status: req.query.status || 'available',
+      status: status || 'available',
       seller: { $ne: req.user._id } // Exclude products where user is seller
     };
 
-    let products = await Product.find(filter)
-      .select('-images -offerRequests')
-      .populate('seller', 'userName')
+    if (q && q.trim()) {
+      filter.$text = { $search: q.trim() };
+    }
+
+    if (category) {
+      filter.category = category.toLowerCase();
+    }
+
+    if (minPrice || maxPrice) {
+      filter.price = {};
+      if (minPrice) {
+        const min = parseFloat(minPrice);
+        if (isNaN(min)) {
+          return res.status(400).json({ success: false, error: 'minPrice must be a valid number' });
+        }
+        filter.price.$gte = min;
+      }
+      if (maxPrice) {
+        const max = parseFloat(maxPrice);
+        if (isNaN(max)) {
+          return res.status(400).json({ success: false, error: 'maxPrice must be a valid number' });
+        }
+        filter.price.$lte = max;
+      }
+    }
+
+    if (seller) {
+      if (!mongoose.Types.ObjectId.isValid(seller)) {
+        return res.status(400).json({ success: false, error: 'Invalid seller ID' });
+      }
+      filter.seller.$eq = new mongoose.Types.ObjectId(seller);
+    }
+
+    if (createdAfter) {
+      const after = new Date(createdAfter);
+      if (isNaN(after.getTime())) {
+        return res.status(400).json({ success: false, error: 'createdAfter must be a valid date' });
+      }
+      filter.createdAt = { $gt: after };
+    }
+
+    const pageSize = Math.max(1, Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    const { field, direction } = sortMode;
+
+    let query = filter;
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' });
+      }
+      query = { $and: [filter, cursorFilter(decoded, field, direction)] };
+    }
+
+    // Fetch one extra item to know whether another page exists
+    const products = await Product.find(query)
+      .sort({ [field]: direction, _id: direction })
+      .limit(pageSize + 1)
+      .populate('seller', 'userName reputation')
       .lean();
 
-    // No images should be returned so as to save bandwidth
-    // // Convert image buffers to base64
-    // products = products.map(product => ({
-    //   ...product,
-    //   images: product.images?.map(img => ({
-    //     data: img.data?.toString('base64'),
-    //     contentType: img.contentType
-    //   })) || []
-    // }));
-
-    res.json({ success: true, products });
+    const hasMore = products.length > pageSize;
+    if (hasMore) products.pop();
+
+    res.json({
+      success: true,
+      products: products.map(withThumbnail),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(products[products.length - 1], field) : null
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ success: false, error: 'Server error' });
@@ -71,22 +184,18 @@ router.get('/:productId', authenticate, async (req, res) => {
     const { productId } = req.params;
     
     let product = await Product.findById(productId)
-      .select('-images -offerRequests')
-      .populate('seller', 'userName')
+      .select('-images')
+      .populate('seller', 'userName reputation')
       .populate('buyer', 'userName')
       .lean();
     
     if (!product || product.status == 'deleted') {
       return res.status(404).json({ success: false, error: 'Product not found' });
     }
-    
-    // No images should be returned so as to save bandwidth
-    // // Convert image buffers to base64
-    // product.images = product.images?.map(img => ({
-    //   data: img.data?.toString('base64'),
-    //   contentType: img.contentType
-    // })) || [];
-    
+
+    product.isSaved = req.user.savedProducts.some(id => id.toString() === productId);
+
+    // Images are fetched separately through /:productId/images
     res.json({ success: true, product });
   } catch (err) {
     console.error('Error fetching product:', err);
@@ -102,17 +211,13 @@ router.get('/:productId/main_image', authenticate, async (req, res) => {
       .lean();
 
     const user = await User.findById(req.user._id);
-    if (!product || ((!user || user.role !== 'admin') && product.status === 'deleted')) {
+    if (!product || (!(await hasAdminAccess(user)) && product.status === 'deleted')) {
       return res.status(404).json({ success: false, error: 'Product not found' });
     }
 
-    const numImages = (product.images || []).length;
-    product.images = product.images?.map(img => ({
-      data: img.data?.toString('base64'),
-      contentType: img.contentType
-    })) || [];
+    const images = (product.images || []).map(toImageResponse);
 
-    res.json({ success: true, image: product.images[0], numImages });
+    res.json({ success: true, image: images[0], numImages: images.length });
   } catch (err) {
     console.error('Error fetching main image:', err);
     res.status(500).json({ success: false, error: 'Server error' });
@@ -131,16 +236,11 @@ router.get('/:productId/images', authenticate, async (req, res) => {
 
     const user = await User.findById(req.user._id);
 
-    if (!product || ((!user || user.role !== 'admin') && product.status == 'deleted')) {
+    if (!product || (!(await hasAdminAccess(user)) && product.status == 'deleted')) {
       return res.status(404).json({ success: false, error: 'Product not found' });
     }
 
-    product.images = product.images?.map(img => ({
-      data: img.data?.toString('base64'),
-      contentType: img.contentType
-    })) || [];
-    
-    res.json({ success: true, images: product.images });
+    res.json({ success: true, images: (product.images || []).map(toImageResponse) });
   } catch (err) {
     console.error('Error fetching product:', err);
     res.status(500).json({ success: false, error: 'Server error' });
@@ -150,12 +250,6 @@ router.get('/:productId/images', authenticate, async (req, res) => {
 // Create a new product
 router.post('/', authenticate, upload.array('images', 5), async (req, res) => {
   try {
-
-    const images = req.files.map(file => ({
-      data: file.buffer,
-      contentType: file.mimetype
-    }));
-
     if (!req.body.name || !req.body.description || !req.body.price || !req.body.category) {
       return res.status(400).json({ success: false, error: 'Missing required fields' });
     }
@@ -165,6 +259,8 @@ router.post('/', authenticate, upload.array('images', 5), async (req, res) => {
       return res.status(400).json({ success: false, error: 'Price must be a valid number' });
     }
 
+    const images = await storeUploadedImages(req.files, { kind: 'product', owner: req.user._id });
+
     const productData = {
       name: req.body.name,
       description: req.body.description,
@@ -180,8 +276,13 @@ router.post('/', authenticate, upload.array('images', 5), async (req, res) => {
     req.user.soldProducts.push(newProduct._id);
     await req.user.save();
 
+    await notifyMatchingSearches(newProduct);
+
     res.status(201).json({ success: true, product: newProduct });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
     console.error("Error in POST /products:", err);
     res.status(500).json({ success: false, error: 'Server error', message: err.message });
   }
@@ -202,51 +303,50 @@ router.put('/:productId', authenticate, upload.array('images', 5), async (req, r
       return res.status(405).json({ success: false, error: 'Access denied' });
     }
 
-    // Parse existing images JSON if provided
-    let updatedImages = [];
+    // existingImages is a JSON list of the image IDs to keep, in order
+    let keepIds = [];
     if (existingImages) {
-      updatedImages = JSON.parse(existingImages).map(img => ({
-        data: Buffer.from(img.data, 'base64'),
-        contentType: img.contentType
-      }));
+      keepIds = JSON.parse(existingImages).map(img => (img && img.imageId ? img.imageId : img).toString());
     }
+    const currentImages = product.images || [];
+    let updatedImages = keepIds
+      .map(id => currentImages.find(img => img.imageId.toString() === id))
+      .filter(Boolean);
+    const removedImageIds = imageIdsOf(currentImages)
+      .filter(id => !keepIds.includes(id.toString()));
 
     // Add new uploaded images
     if (req.files && req.files.length > 0) {
-      const newImages = req.files.map(file => ({
-        data: file.buffer,
-        contentType: file.mimetype
-      }));
+      const newImages = await storeUploadedImages(req.files, { kind: 'product', owner: req.user._id });
       updatedImages = [...updatedImages, ...newImages];
     }
 
-    // Get unique buyer IDs before clearing offers
-    if (clearOffers === 'true' && product.offerRequests.length > 0) {
-      try {
-        for (const offer of product.offerRequests) {
-          await Notification.create({
-            userId: offer.buyer,
-            type: 'product_updated', // Changed from 'offer_cancelled' to 'product_updated'
-            message: `Your offer for ${product.name} was cancelled due to product updates`,
-            productId: {
-              _id: product._id,
-              name: product.name
-            }
-          });
-        }
-      } catch (notifError) {
-        console.error('Notification creation error:', notifError);
-      }
-      product.offerRequests = [];
+    // Decline open offers made against the old listing
+    if (clearOffers === 'true') {
+      await cancelOpenOffers(product, {
+        by: req.user._id,
+        note: 'product_updated',
+        message: `Your offer for ${product.name} was cancelled due to product updates`
+      });
     }
 
     // Update product fields
+    const previousPrice = product.price;
     product.description = description || product.description;
     product.price = price ? parseFloat(price) : product.price;
     product.images = updatedImages;
     product.lastUpdatedAt = Date.now;
 
     await product.save();
+    await deleteImages(removedImageIds);
+
+    if (product.price < previousPrice && product.status === 'available') {
+      await notifySavers(product, {
+        type: 'price_dropped',
+        message: `${product.name} you saved dropped in price from ₹${previousPrice} to ₹${product.price}`,
+        exclude: [req.user._id]
+      });
+    }
 
     res.json({ 
       success: true, 
@@ -254,6 +354,9 @@ router.put('/:productId', authenticate, upload.array('images', 5), async (req, r
       product: product 
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
     console.error('Update product error:', err);
     res.status(500).json({ success: false, error: 'Server error', message: err.message });
   }
@@ -274,11 +377,17 @@ router.delete('/:productId', authenticate, async (req, res) => {
     }
 
     await Product.findByIdAndDelete(productId);
+    await deleteImages(imageIdsOf(product.images));
 
     await User.findByIdAndUpdate(req.user._id, {
       $pull: { soldProducts: productId }
     });
 
+    await User.updateMany(
+      { savedProducts: productId },
+      { $pull: { savedProducts: productId } }
+    );
+
     res.json({ success: true, message: 'Product deleted successfully' });
   } catch (err) {
     console.error('Delete product error:', err);
@@ -299,9 +408,27 @@ router.post('/:productId/close', authenticate, async (req, res) => {
       return res.status(405).json({ success: false, error: 'Access denied' });
     }
 
+    // A reserved product has an accepted offer and a buyer waiting for the
+    // handover; a sold one is done
+    if (product.status === 'reserved' || product.status === 'sold') {
+      return res.status(400).json({ success: false, error: `A ${product.status} product cannot be closed` });
+    }
+
     product.status = 'closed';
     await product.save();
 
+    await cancelOpenOffers(product, {
+      by: req.user._id,
+      note: 'product_closed',
+      message: `Your offer for ${product.name} was cancelled because the listing was closed`
+    });
+
+    await notifySavers(product, {
+      type: 'saved_item_closed',
+      message: `${product.name} you saved is no longer listed`,
+      exclude: [req.user._id]
+    });
+
     res.json({ success: true, message: 'Product closed successfully' });
   } catch (err) {
     console.error('Close product error:', err);
@@ -309,169 +436,251 @@ router.post('/:productId/close', authenticate, async (req, res) => {
   }
 });
 
-// Check if user has made an offer
-router.get('/:productId/check-offer', authenticate, async (req, res) => {
+// Save a product to the current user's wishlist
+router.post('/:productId/save', authenticate, async (req, res) => {
   try {
-    const product = await Product.findById(req.params.productId);
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(400).json({ success: false, error: 'Invalid product ID' });
+    }
+
+    const product = await Product.findById(req.params.productId).select('status seller');
     if (!product || product.status == 'deleted') {
       return res.status(404).json({ success: false, error: 'Product not found' });
     }
 
-    const existingOffer = product.offerRequests.find(
-      offer => offer.buyer.toString() === req.user._id.toString()
+    if (product.seller.toString() === req.user._id.toString()) {
+      return res.status(400).json({ success: false, error: 'You cannot save your own product' });
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $addToSet: { savedProducts: product._id } }
     );
 
-    res.json({
-      success: true,
-      hasOffer: !!existingOffer,
-      offerAmount: existingOffer ? existingOffer.offerPrice : null,
-      offerStatus: existingOffer ? existingOffer.status : null  // Add this line
-    });
+    res.json({ success: true, saved: true, message: 'Product saved' });
   } catch (err) {
+    console.error('Save product error:', err);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
-// Get all offers for a product
-router.get('/:productId/offers', authenticate, async (req, res) => {
+// Remove a product from the current user's wishlist
+router.delete('/:productId/save', authenticate, async (req, res) => {
   try {
-    const product = await Product.findById(req.params.productId)
-      .populate('offerRequests.buyer', 'userName');
-    if (!product || product.status == 'deleted') {
-      return res.status(404).json({ success: false, error: 'Product not found' });
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(400).json({ success: false, error: 'Invalid product ID' });
     }
-    res.json({ success: true, offerRequests: product.offerRequests });
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { savedProducts: req.params.productId } }
+    );
+
+    res.json({ success: true, saved: false, message: 'Product removed from saved items' });
   } catch (err) {
-    console.error(err);
+    console.error('Unsave product error:', err);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
-// Make an offer on a product
-router.post('/:productId/offers', authenticate, async (req, res) => {
+// Send the error thrown by an offer or handover service back to the client
+const sendServiceError = (res, err, context) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`Error ${context}:`, err);
+  res.status(500).json({ success: false, error: 'Server error' });
+};
+
+// Get the handover code for a product reserved for the current user (buyer)
+router.get('/:productId/handover-code', authenticate, async (req, res) => {
   try {
-    const { productId } = req.params;
-    const { offerPrice } = req.body;
-    
-    if (!offerPrice || isNaN(offerPrice)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Valid offer price is required' 
-      });
+    const { code, expiresAt } = await getHandoverCode({
+      productId: req.params.productId,
+      buyer: req.user
+    });
+    res.json({ success: true, code, expiresAt });
+  } catch (err) {
+    sendServiceError(res, err, 'fetching handover code');
+  }
+});
+
+// Handover codes can't be guessed: a few tries per product every 15 minutes
+// is plenty for a seller mistyping the code. Counted per caller, so other
+// users' junk attempts can't lock the seller out.
+const limitHandoverAttempts = rateLimit({
+  name: 'handover-product',
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  keyOf: req => `${req.params.productId}:${req.user._id}`,
+  message: 'Too many handover attempts for this product. Please try again later.'
+});
+
+// Confirm the handover of a reserved product with the buyer's code (seller)
+router.post('/:productId/handover', authenticate, limitHandoverAttempts, async (req, res) => {
+  try {
+    const product = await completeHandover({
+      productId: req.params.productId,
+      seller: req.user,
+      code: req.body.code
+    });
+    res.json({ success: true, product, message: 'Handover confirmed, product marked as sold' });
+  } catch (err) {
+    sendServiceError(res, err, 'confirming handover');
+  }
+});
+
+// Get all offers made by the current user, most recent first
+router.get('/offers/mine', authenticate, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !Offer.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid offer status' });
     }
 
-    const product = await Product.findById(productId);
-    if (!product || product.status == 'deleted') {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Product not found' 
-      });
+    const filter = { buyer: req.user._id };
+    if (status) {
+      filter.status = status;
     }
 
-    // Remove any existing offer from this user
-    product.offerRequests = product.offerRequests.filter(
-      offer => offer.buyer.toString() !== req.user._id.toString()
-    );
+    const offers = await Offer.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('product', 'name price status')
+      .populate('seller', 'userName reputation')
+      .lean();
 
-    // Add the new offer
-    product.offerRequests.push({
-      buyer: req.user._id,
-      offerPrice: offerPrice
-    });
+    res.json({ success: true, offers });
+  } catch (err) {
+    console.error('Error fetching offers:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
 
-    await product.save();
+// Check if user has made an offer
+router.get('/:productId/check-offer', authenticate, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId).select('status');
+    if (!product || product.status == 'deleted') {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
 
-    // Create notification for product owner
-    await Notification.create({
-      userId: product.seller,
-      type: 'offer_received', // New notification type
-      message: `You received an offer of ₹${offerPrice} for ${product.name} from ${req.user.userName}`,
-      productId: product._id
-    });
+    // Latest offer from this user, whatever state it is in
+    const existingOffer = await Offer.findOne({
+      product: product._id,
+      buyer: req.user._id
+    }).sort({ createdAt: -1 });
 
     res.json({
       success: true,
-      hasOffer: true,
-      message: 'Offer submitted successfully'
+      hasOffer: !!existingOffer && existingOffer.isOpen(),
+      offerId: existingOffer ? existingOffer._id : null,
+      offerAmount: existingOffer ? existingOffer.offerPrice : null,
+      offerStatus: existingOffer ? existingOffer.status : null,
+      counterPrice: existingOffer ? existingOffer.counterPrice : null
     });
   } catch (err) {
-    console.error('Error making offer:', err);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
-// Accept an offer
-router.post('/offers/:offerId/accept', authenticate, async (req, res) => {
+// Get offers for a product
+// The seller sees every buyer's offers, anyone else only their own.
+// Only open offers are returned unless ?status=all (or a specific status).
+router.get('/:productId/offers', authenticate, async (req, res) => {
   try {
-    const { productId } = req.body;
-    const { offerId } = req.params;
-
-    const product = await Product.findById(productId);
+    const product = await Product.findById(req.params.productId).select('status seller');
     if (!product || product.status == 'deleted') {
       return res.status(404).json({ success: false, error: 'Product not found' });
     }
 
-    const offer = product.offerRequests.id(offerId);
-    if (offer) {
-      // Create notification for the buyer
-      await Notification.create({
-        userId: offer.buyer,
-        type: 'offer_accepted',
-        message: `Your offer for ${product.name} was accepted!`,
-        productId: product._id
-      });
-      
-      product.status = 'sold';
-      product.buyer = offer.buyer;
-      product.transactionDate = new Date();
-      product.transactionPrice = offer.offerPrice;
-      product.offerRequests = [];
+    const filter = { product: product._id };
+    if (product.seller.toString() !== req.user._id.toString()) {
+      filter.buyer = req.user._id;
     }
 
-    await product.save();
-    res.json({ success: true, message: 'Offer accepted successfully' });
+    const { status } = req.query;
+    if (status && status !== 'all' && !Offer.STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid offer status' });
+    }
+    if (!status) {
+      filter.status = { $in: Offer.OPEN_STATUSES };
+    } else if (status !== 'all') {
+      filter.status = status;
+    }
+
+    const offers = await Offer.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('buyer', 'userName')
+      .lean();
+
+    res.json({ success: true, offerRequests: offers });
   } catch (err) {
-    console.error('Error accepting offer:', err);
+    console.error(err);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
-// Reject an offer
-router.post('/offers/:offerId/decline', authenticate, async (req, res) => {
+// Make an offer on a product
+router.post('/:productId/offers', authenticate, async (req, res) => {
   try {
-    const { productId } = req.body;
-    const { offerId } = req.params;
-
-    const product = await Product.findById(productId);
-    if (!product || product.status == 'deleted') {
-      return res.status(404).json({ success: false, error: 'Product not found' });
-    }
+    const offer = await placeOffer({
+      productId: req.params.productId,
+      buyer: req.user,
+      offerPrice: req.body.offerPrice
+    });
 
-    const offer = product.offerRequests.find(
-      offer => offer._id.toString() === offerId
-    );
+    res.json({
+      success: true,
+      hasOffer: true,
+      offer,
+      message: 'Offer submitted successfully'
+    });
+  } catch (err) {
+    sendServiceError(res, err, 'making offer');
+  }
+});
 
-    if (offer) {
-      // Create notification for the buyer
-      await Notification.create({
-        userId: offer.buyer,
-        type: 'offer_rejected',
-        message: `Your offer for ${product.name} was rejected`,
-        productId: product._id
-      });
-    }
+// Accept an offer
+router.post('/offers/:offerId/accept', authenticate, async (req, res) => {
+  try {
+    const offer = await acceptOffer({ offerId: req.params.offerId, seller: req.user });
+    res.json({ success: true, offer, message: 'Offer accepted successfully' });
+  } catch (err) {
+    sendServiceError(res, err, 'accepting offer');
+  }
+});
 
-    // Remove the specific offer
-    product.offerRequests = product.offerRequests.filter(
-      offer => offer._id.toString() !== offerId
-    );
+// Reject an offer
+router.post('/offers/:offerId/decline', authenticate, async (req, res) => {
+  try {
+    const offer = await declineOffer({ offerId: req.params.offerId, seller: req.user });
+    res.json({ success: true, offer, message: 'Offer rejected successfully' });
+  } catch (err) {
+    sendServiceError(res, err, 'rejecting offer');
+  }
+});
 
-    await product.save();
+// Counter an offer with a different price (seller)
+router.post('/offers/:offerId/counter', authenticate, async (req, res) => {
+  try {
+    const offer = await counterOffer({
+      offerId: req.params.offerId,
+      seller: req.user,
+      counterPrice: req.body.counterPrice
+    });
+    res.json({ success: true, offer, message: 'Counter offer sent' });
+  } catch (err) {
+    sendServiceError(res, err, 'countering offer');
+  }
+});
 
-    res.json({ success: true, message: 'Offer rejected successfully' });
+// Withdraw an offer (buyer)
+router.post('/offers/:offerId/withdraw', authenticate, async (req, res) => {
+  try {
+    const offer = await withdrawOffer({ offerId: req.params.offerId, buyer: req.user });
+    res.json({ success: true, offer, message: 'Offer withdrawn' });
   } catch (err) {
-    console.error('Error rejecting offer:', err);
-    res.status(500).json({ success: false, error: 'Server error' });
+    sendServiceError(res, err, 'withdrawing offer');
   }
 });
 
@@ -479,43 +688,24 @@ router.post('/offers/:offerId/decline', authenticate, async (req, res) => {
 router.post('/offers', authenticate, async (req, res) => {
   try {
     const { productId, offerPrice } = req.body;
-    
-    if (!productId || !offerPrice || isNaN(offerPrice)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Product ID and valid offer price are required' 
-      });
-    }
 
-    const product = await Product.findById(productId);
-    if (!product || product.status == 'deleted') {
-      return res.status(404).json({ 
-        success: false, 
-        error: 'Product not found' 
+    if (!productId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Product ID and valid offer price are required'
       });
     }
 
-    // Remove any existing offer from this user
-    product.offerRequests = product.offerRequests.filter(
-      offer => offer.buyer.toString() !== req.user._id.toString()
-    );
-
-    // Add the new offer
-    product.offerRequests.push({
-      buyer: req.user._id,
-      offerPrice: offerPrice
-    });
-
-    await product.save();
+    const offer = await placeOffer({ productId, buyer: req.user, offerPrice });
 
     res.json({
       success: true,
       hasOffer: true,
+      offer,
       message: 'Offer submitted successfully'
     });
   } catch (err) {
-    console.error('Error making offer:', err);
-    res.status(500).json({ success: false, error: 'Server error' });
+    sendServiceError(res, err, 'making offer');
   }
 });
 
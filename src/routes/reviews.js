@@ -0,0 +1,159 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Review = require('../models/review');
+const Product = require('../models/product');
+const { dispatchNotification } = require('../services/notify');
+const authenticate = require('../middleware/auth');
+const { encodeCursor, decodeCursor, cursorFilter } = require('../utils/cursor');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Review the other party of a completed product transaction
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { productId, rating, comment } = req.body;
+
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ success: false, error: 'Valid productId is required' });
+    }
+
+    const ratingNum = Number(rating);
+    if (!Number.isInteger(ratingNum) || ratingNum < 1 || ratingNum > 5) {
+      return res.status(400).json({ success: false, error: 'Rating must be a whole number from 1 to 5' });
+    }
+
+    const product = await Product.findById(productId).select('name status seller buyer');
+    if (!product || product.status === 'deleted') {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+
+    if (product.status !== 'sold' || !product.buyer) {
+      return res.status(400).json({ success: false, error: 'Only completed transactions can be reviewed' });
+    }
+
+    const userId = req.user._id.toString();
+    let reviewerRole;
+    let reviewee;
+    if (product.buyer.toString() === userId) {
+      reviewerRole = 'buyer';
+      reviewee = product.seller;
+    } else if (product.seller.toString() === userId) {
+      reviewerRole = 'seller';
+      reviewee = product.buyer;
+    } else {
+      return res.status(405).json({ success: false, error: 'Only the buyer and seller can review this transaction' });
+    }
+
+    const review = await Review.create({
+      product: product._id,
+      reviewer: req.user._id,
+      reviewee,
+      reviewerRole,
+      rating: ratingNum,
+      comment: comment || ''
+    });
+
+    const reputation = await Review.updateReputation(reviewee);
+
+    try {
+      await dispatchNotification({
+        userId: reviewee,
+        type: 'review_received',
+        message: `${req.user.userName} rated you ${ratingNum}/5 for ${product.name}`,
+        productId: product._id
+      });
+    } catch (notifError) {
+      console.error('Notification creation error:', notifError);
+    }
+
+    res.status(201).json({ success: true, review, reputation });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ success: false, error: 'You have already reviewed this transaction' });
+    }
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Error creating review:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Get the reviews a user has received, newest first (cursor paginated)
+router.get('/user/:userId', authenticate, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { limit, cursor } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, error: 'Invalid user ID' });
+    }
+
+    const pageSize = Math.max(1, Math.min(parseInt(limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+
+    let query = { reviewee: userId };
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({ success: false, error: 'Invalid cursor' });
+      }
+      query = { $and: [query, cursorFilter(decoded, 'createdAt', -1)] };
+    }
+
+    const reviews = await Review.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(pageSize + 1)
+      .populate('reviewer', 'userName')
+      .populate('product', 'name')
+      .lean();
+
+    const hasMore = reviews.length > pageSize;
+    if (hasMore) reviews.pop();
+
+    res.json({
+      success: true,
+      reviews,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(reviews[reviews.length - 1], 'createdAt') : null
+    });
+  } catch (err) {
+    console.error('Error fetching reviews:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Get the reviews left on a product transaction and whether the current
+// user can still leave theirs
+router.get('/product/:productId', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+      return res.status(400).json({ success: false, error: 'Invalid product ID' });
+    }
+
+    const product = await Product.findById(req.params.productId).select('status seller buyer');
+    if (!product || product.status === 'deleted') {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+
+    const reviews = await Review.find({ product: product._id })
+      .populate('reviewer', 'userName')
+      .lean();
+
+    const userId = req.user._id.toString();
+    const isParty = product.status === 'sold' && product.buyer &&
+      [product.buyer.toString(), product.seller.toString()].includes(userId);
+
+    res.json({
+      success: true,
+      reviews,
+      canReview: isParty && !reviews.some(r => r.reviewer && r.reviewer._id.toString() === userId)
+    });
+  } catch (err) {
+    console.error('Error fetching product reviews:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+module.exports = router;
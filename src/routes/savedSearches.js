@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const SavedSearch = require('../models/savedSearch');
+const authenticate = require('../middleware/auth');
+
+// Keep the number of alerts per user reasonable
+const MAX_SAVED_SEARCHES = 10;
+
+// Validate and normalise the editable fields of a saved search
+const parseSearchFields = (body) => {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = String(body.name).trim();
+  if (body.keywords !== undefined) fields.keywords = String(body.keywords).trim();
+  if (body.category !== undefined) fields.category = body.category ? String(body.category).toLowerCase() : null;
+  if (body.emailDigest !== undefined) fields.emailDigest = body.emailDigest === true || body.emailDigest === 'true';
+
+  if (body.maxPrice !== undefined) {
+    if (body.maxPrice === null || body.maxPrice === '') {
+      fields.maxPrice = null;
+    } else {
+      fields.maxPrice = parseFloat(body.maxPrice);
+      if (isNaN(fields.maxPrice)) {
+        return { error: 'maxPrice must be a valid number' };
+      }
+    }
+  }
+
+  return { fields };
+};
+
+const isEmptySearch = (search) => !search.keywords && !search.category && search.maxPrice === null;
+
+// Get the current user's saved searches
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ success: true, searches });
+  } catch (err) {
+    console.error('Error fetching saved searches:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Create a saved search
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { fields, error } = parseSearchFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const search = new SavedSearch({ ...fields, user: req.user._id });
+    if (isEmptySearch(search)) {
+      return res.status(400).json({ success: false, error: 'Keywords, category or maximum price is required' });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_SAVED_SEARCHES} saved searches`
+      });
+    }
+
+    await search.save();
+
+    res.status(201).json({ success: true, search });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Error creating saved search:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Update a saved search
+router.put('/:searchId', authenticate, async (req, res) => {
+  try {
+    const { fields, error } = parseSearchFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const search = await SavedSearch.findOne({ _id: req.params.searchId, user: req.user._id });
+    if (!search) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+
+    search.set(fields);
+    if (isEmptySearch(search)) {
+      return res.status(400).json({ success: false, error: 'Keywords, category or maximum price is required' });
+    }
+    await search.save();
+
+    res.json({ success: true, search });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Error updating saved search:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Delete a saved search
+router.delete('/:searchId', authenticate, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndDelete({ _id: req.params.searchId, user: req.user._id });
+    if (!search) {
+      return res.status(404).json({ success: false, error: 'Saved search not found' });
+    }
+
+    res.json({ success: true, message: 'Saved search deleted' });
+  } catch (err) {
+    console.error('Error deleting saved search:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Session = require('../models/session');
+const authenticate = require('../middleware/auth');
+const { revokeSessions } = require('../services/sessions');
+const { disconnectSessions } = require('../services/realtime');
+
+// The devices the current user is logged in on, most recently used first
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id, expiresAt: { $gt: new Date() } })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    const currentId = req.authSession._id.toString();
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === currentId
+      }))
+    });
+  } catch (err) {
+    console.error('Error fetching sessions:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Log out everywhere. With ?keepCurrent=true the device making the request
+// stays logged in.
+router.delete('/', authenticate, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const query = { user: req.user._id };
+    if (keepCurrent) {
+      query._id = { $ne: req.authSession._id };
+    }
+
+    const revoked = await revokeSessions(query);
+    disconnectSessions(revoked);
+
+    if (!keepCurrent) {
+      res.clearCookie('authCookie');
+    }
+    res.json({ success: true, revokedCount: revoked.length });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Log out one device
+router.delete('/:id', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, error: 'Invalid session ID' });
+    }
+
+    const revoked = await revokeSessions({ _id: req.params.id, user: req.user._id });
+    if (revoked.length === 0) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    disconnectSessions(revoked);
+
+    if (req.params.id === req.authSession._id.toString()) {
+      res.clearCookie('authCookie');
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error revoking session:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const authenticate = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { revokeSessions } = require('../services/sessions');
+const { disconnectSessions } = require('../services/realtime');
+const {
+  isTwoFactorRequired,
+  startSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  recoveryCodesLeft
+} = require('../services/twoFactor');
+
+// Code checks are rate limited per user on top of the replay protection
+const limitCodeChecks = rateLimit({
+  name: '2fa-manage-user',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  keyOf: req => req.user._id.toString()
+});
+
+const sendError = (res, err, context) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+  console.error(`${context} error:`, err);
+  res.status(500).json({ success: false, error: 'Server error' });
+};
+
+// Two-factor status of the current user
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const { enabled, enabledAt } = req.user.twoFactor || {};
+    res.json({
+      success: true,
+      enabled: !!enabled,
+      enabledAt: enabledAt || null,
+      required: await isTwoFactorRequired(req.user),
+      recoveryCodesLeft: enabled ? await recoveryCodesLeft(req.user._id) : 0
+    });
+  } catch (err) {
+    sendError(res, err, 'Two-factor status');
+  }
+});
+
+// Start enrolment: returns the secret and an otpauth:// URI for the
+// authenticator app (usually shown as a QR code)
+router.post('/setup', authenticate, async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await startSetup(req.user);
+    res.json({ success: true, secret, otpauthUri });
+  } catch (err) {
+    sendError(res, err, 'Two-factor setup');
+  }
+});
+
+// Confirm enrolment with a first code { code }. Other devices are logged
+// out, so every remaining session has passed the second factor.
+router.post('/enable', authenticate, limitCodeChecks, async (req, res) => {
+  try {
+    const recoveryCodes = await enableTwoFactor(req.user, req.body.code);
+
+    disconnectSessions(await revokeSessions({ user: req.user._id, _id: { $ne: req.authSession._id } }));
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (err) {
+    sendError(res, err, 'Two-factor enable');
+  }
+});
+
+// Turn two-factor authentication off: { password, code } or
+// { password, recoveryCode }
+router.post('/disable', authenticate, limitCodeChecks, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    await disableTwoFactor(req.user, { password, code, recoveryCode });
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    sendError(res, err, 'Two-factor disable');
+  }
+});
+
+// Replace the recovery codes { code }
+router.post('/recovery-codes', authenticate, limitCodeChecks, async (req, res) => {
+  try {
+    const recoveryCodes = await regenerateRecoveryCodes(req.user, req.body.code);
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    sendError(res, err, 'Recovery code');
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,17 @@ const authenticate = require('../middleware/auth');
 const Donation = require('../models/donation');
 const LostItem = require('../models/lostItem');
 const Product = require('../models/product');
+const Review = require('../models/review');
+const Notification = require('../models/notification');
+const { channelFor, MANDATORY_TYPES } = require('../services/notify');
+const upload = require('../middleware/upload');
+const {
+  deleteImages,
+  imageIdsOf,
+  withThumbnail,
+  sendImage
+} = require('../services/imageStore');
+const { storeImage } = require('../services/imagePipeline');
 
 // Get user profile
 router.get('/me', authenticate, async (req, res) => {
@@ -15,27 +26,23 @@ router.get('/me', authenticate, async (req, res) => {
     // my_donations
     const donations = await Donation.find({ donatedBy: req.user._id })
       .populate('collectedBy', 'userName')
-      .select('-images')
       .sort('-createdAt')
       .lean();
 
     // my_lost_items
     const lost_items = await LostItem.find({ user: req.user._id })
-      .select('-images')
       .sort('-createdAt')
       .lean();
 
     // my_listings
     const products = await Product.find({ seller: req.user._id })
       .populate('buyer', 'userName')
-      .select('-images')
       .sort('-createdAt')
       .lean();
 
     // my_purchases
     const purchasedProducts = await Product.find({ buyer: req.user._id })
-      .populate('seller', 'userName')
-      .select('-images')
+      .populate('seller', 'userName reputation')
       .sort('-createdAt')
       .lean();
 
@@ -46,10 +53,10 @@ router.get('/me', authenticate, async (req, res) => {
         password: undefined
       },
       activity: {
-        donations,
-        lost_items,
-        products,
-        purchasedProducts
+        donations: donations.map(withThumbnail),
+        lost_items: lost_items.map(withThumbnail),
+        products: products.map(withThumbnail),
+        purchasedProducts: purchasedProducts.map(withThumbnail)
       }
     });
   } catch (err) {
@@ -58,8 +65,98 @@ router.get('/me', authenticate, async (req, res) => {
   }
 });
 
-// Update user profile
-router.put('/me', authenticate, async (req, res) => {
+// Get the current user's saved products (wishlist)
+router.get('/me/saved', authenticate, async (req, res) => {
+  try {
+    const products = await Product.find({
+      _id: { $in: req.user.savedProducts },
+      status: { $ne: 'deleted' }
+    })
+      .populate('seller', 'userName reputation')
+      .sort('-createdAt')
+      .lean();
+
+    res.json({ success: true, products: products.map(withThumbnail) });
+  } catch (err) {
+    console.error('Error fetching saved products:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Effective notification settings: the channel of every notification type
+// and the quiet hours
+const notificationSettingsResponse = (user) => {
+  const settings = user.notificationSettings;
+  return {
+    types: Object.fromEntries(Notification.TYPES.map(type => [type, channelFor(settings, type)])),
+    quietHours: settings.quietHours,
+    emailDigest: settings.emailDigest,
+    channels: Notification.CHANNELS,
+    mandatoryTypes: MANDATORY_TYPES
+  };
+};
+
+// Get the current user's notification settings
+router.get('/me/notification-settings', authenticate, async (req, res) => {
+  try {
+    res.json({ success: true, settings: notificationSettingsResponse(req.user) });
+  } catch (err) {
+    console.error('Error fetching notification settings:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Update the current user's notification settings. Only the types, quiet
+// hour fields and digest flag sent are changed.
+router.put('/me/notification-settings', authenticate, async (req, res) => {
+  try {
+    const { types, quietHours, emailDigest } = req.body;
+    const settings = req.user.notificationSettings;
+
+    if (types !== undefined) {
+      if (!types || typeof types !== 'object' || Array.isArray(types)) {
+        return res.status(400).json({ success: false, error: 'types must map notification types to channels' });
+      }
+      for (const [type, channel] of Object.entries(types)) {
+        if (!Notification.TYPES.includes(type)) {
+          return res.status(400).json({ success: false, error: `Unknown notification type: ${type}` });
+        }
+        if (!Notification.CHANNELS.includes(channel)) {
+          return res.status(400).json({ success: false, error: `Channel must be one of: ${Notification.CHANNELS.join(', ')}` });
+        }
+        if (channel === 'off' && MANDATORY_TYPES.includes(type)) {
+          return res.status(400).json({ success: false, error: `${type} notifications cannot be turned off` });
+        }
+        settings.types.set(type, channel);
+      }
+    }
+
+    if (quietHours !== undefined) {
+      const { enabled, start, end } = quietHours || {};
+      if (enabled !== undefined) settings.quietHours.enabled = !!enabled;
+      if (start !== undefined) settings.quietHours.start = start;
+      if (end !== undefined) settings.quietHours.end = end;
+    }
+
+    if (emailDigest !== undefined) {
+      settings.emailDigest = !!emailDigest;
+    }
+
+    await req.user.save();
+
+    res.json({ success: true, settings: notificationSettingsResponse(req.user) });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+    console.error('Error updating notification settings:', err);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Update user profile. The profile picture can be sent as a multipart file
+// or, as older clients do, as a base64 string.
+router.put('/me', authenticate, upload.single('profilePicture'), async (req, res) => {
   try {
     const { userName, phone, address, profilePicture } = req.body;
 
@@ -73,15 +170,23 @@ router.put('/me', authenticate, async (req, res) => {
     if (userName)       user.userName        = userName;
     if (phone)          user.phone           = phone;
     if (address)        user.address         = address;
-    if (profilePicture) {
-      user.profilePicture = {
-        data: Buffer.from(profilePicture, 'base64'),
-        contentType: 'image/jpeg'
-      };
+    const previousPicture = user.profilePicture;
+    const pictureBuffer = req.file
+      ? req.file.buffer
+      : profilePicture && Buffer.from(profilePicture, 'base64');
+    if (pictureBuffer) {
+      user.profilePicture = await storeImage(pictureBuffer, {
+        name: 'Profile picture',
+        metadata: { kind: 'profilePicture', owner: user._id }
+      });
     }
 
     await user.save();
 
+    if (pictureBuffer && previousPicture) {
+      await deleteImages(imageIdsOf([previousPicture]));
+    }
+
     // 4) Remove sensitive data before sending
     const result = user.toObject();
     delete result.password;
@@ -92,6 +197,9 @@ router.put('/me', authenticate, async (req, res) => {
       user: result
     });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ success: false, error: err.message });
+    }
     console.error('Profile update error:', err);
     if (err.code === 11000 && err.keyPattern) {
       const field = Object.keys(err.keyPattern)[0];
@@ -101,34 +209,38 @@ router.put('/me', authenticate, async (req, res) => {
   }
 });
 
-// Get user profile picture
+// Get user profile picture, ?size=thumbnail for the small rendition
 router.get('/profile-picture/:userId', async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId);
+    const user = await User.findById(req.params.userId).select('profilePicture');
     
-    if (!user || !user.profilePicture || !user.profilePicture.data) {
+    if (!user || !user.profilePicture || !user.profilePicture.imageId) {
       return res.status(404).json({ 
         success: false, 
         error: 'Profile picture not found' 
       });
     }
 
-    res.set('Content-Type', user.profilePicture.contentType);
-    res.send(user.profilePicture.data);
+    const { imageId, thumbnailId } = user.profilePicture;
+    await sendImage(req, res, req.query.size === 'thumbnail' && thumbnailId ? thumbnailId : imageId);
   } catch (err) {
     console.error('Error fetching profile picture:', err);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
+// Fields of a user any logged-in user may see. A whitelist, so fields added
+// to the User model (security state, settings...) stay private by default.
+const PUBLIC_PROFILE_FIELDS = 'userName email phone address profilePicture soldProducts registrationDate role lastSeen reputation';
+
 // Get user profile by ID (for viewing)
 router.get('/profile/:userId', authenticate, async (req, res) => {
   try {
     const requestedUserId = req.params.userId;
 
-    // Find the user
+    // Find the user (public fields only)
     const user = await User.findById(requestedUserId)
-      .select('-password -warningIssued -isBlocked -blockedAt -blockedReason -authCookie -authCookieCreated -authCookieExpires');
+      .select(PUBLIC_PROFILE_FIELDS);
     
     if (!user) {
       return res.status(404).json({ 
@@ -139,36 +251,42 @@ router.get('/profile/:userId', authenticate, async (req, res) => {
     
     const donations = await Donation.find({ donatedBy: requestedUserId })
       .populate('collectedBy', 'userName')
-      .select('-images')
       .sort('-createdAt')
       .lean();
 
     // my_lost_items
     const lost_items = await LostItem.find({ user: requestedUserId })
-      .select('-images')
       .sort('-createdAt')
       .lean();
 
     // my_listings
     const products = await Product.find({ seller: requestedUserId })
       .populate('buyer', 'userName')
-      .select('-images')
       .sort('-createdAt')
       .lean();
 
     // my_purchases
     const purchasedProducts = []; // return empty for security and privacy purposes
 
+    const recentReviews = await Review.find({ reviewee: requestedUserId })
+      .populate('reviewer', 'userName')
+      .populate('product', 'name')
+      .sort('-createdAt')
+      .limit(5)
+      .lean();
+
     res.json({
       success: true,
-      user: {
-        ...user.toObject(),
-        password: undefined
+      user: user.toObject(),
+      reputation: {
+        score: user.reputation?.score || 0,
+        reviewCount: user.reputation?.reviewCount || 0,
+        recentReviews
       },
       activity: {
-        donations,
-        lost_items,
-        products,
+        donations: donations.map(withThumbnail),
+        lost_items: lost_items.map(withThumbnail),
+        products: products.map(withThumbnail),
         purchasedProducts
       }
     });
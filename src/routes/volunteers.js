@@ -2,13 +2,14 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/user');
 const authenticate = require('../middleware/auth');
+const { hasAdminAccess } = require('../services/twoFactor');
 
 // Get pending volunteer requests (admin only)
 router.get('/', authenticate, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(405).json({ success: false, error: 'Unauthorized' });
-  }
   try {
+    if (!(await hasAdminAccess(req.user))) {
+      return res.status(405).json({ success: false, error: 'Unauthorized' });
+    }
     const requests = await User.find({ role: 'volunteer_pending' }).select('-password');
     res.json({ success: true, requests });
   } catch (err) {
@@ -18,10 +19,10 @@ router.get('/', authenticate, async (req, res) => {
 
 // Approve a volunteer request (admin only)
 router.post('/:userId/approve', authenticate, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(405).json({ success: false, error: 'Unauthorized' });
-  }
   try {
+    if (!(await hasAdminAccess(req.user))) {
+      return res.status(405).json({ success: false, error: 'Unauthorized' });
+    }
     const user = await User.findById(req.params.userId);
     if (!user || user.role !== 'volunteer_pending') {
       return res.status(404).json({ success: false, error: 'Volunteer not found or already approved' });
@@ -36,10 +37,10 @@ router.post('/:userId/approve', authenticate, async (req, res) => {
 
 // Reject a volunteer request (admin only)
 router.post('/:userId/reject', authenticate, async (req, res) => {
-  if (req.user.role !== 'admin') {
-    return res.status(405).json({ success: false, error: 'Unauthorized' });
-  }
   try {
+    if (!(await hasAdminAccess(req.user))) {
+      return res.status(405).json({ success: false, error: 'Unauthorized' });
+    }
     await User.findByIdAndDelete(req.params.userId);
     res.json({ success: true, message: 'Volunteer request rejected and user removed' });
   } catch (err) {
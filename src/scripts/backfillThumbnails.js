@@ -0,0 +1,84 @@
+// One-off migration: run images stored before the upload pipeline through
+// services/imagePipeline.js, so they are resized, lose their EXIF data and
+// get a thumbnail. Images that cannot be processed are left as they are.
+// Usage: node scripts/backfillThumbnails.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/product');
+const Donation = require('../models/donation');
+const LostItem = require('../models/lostItem');
+const User = require('../models/user');
+const { getImageInfo, openImageStream, deleteImages } = require('../services/imageStore');
+const { storeImage } = require('../services/imagePipeline');
+
+const readImage = async (imageId) => {
+  const chunks = [];
+  for await (const chunk of openImageStream(imageId)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Returns the new image ref, or the old one if it could not be processed
+const backfillImage = async (ref) => {
+  if (!ref || !ref.imageId || ref.thumbnailId) return ref;
+
+  const info = await getImageInfo(ref.imageId);
+  if (!info) return ref;
+
+  try {
+    const buffer = await readImage(ref.imageId);
+    const processed = await storeImage(buffer, { metadata: info.metadata });
+    await deleteImages([ref.imageId]);
+    return processed;
+  } catch (err) {
+    console.error(`Skipping image ${ref.imageId}:`, err.message);
+    return ref;
+  }
+};
+
+const backfillImageArrays = async (Model) => {
+  const cursor = Model.collection.find({
+    images: { $elemMatch: { imageId: { $exists: true }, thumbnailId: { $exists: false } } }
+  });
+  let updated = 0;
+  for await (const doc of cursor) {
+    const images = [];
+    for (const image of doc.images) {
+      images.push(await backfillImage(image));
+    }
+    await Model.collection.updateOne({ _id: doc._id }, { $set: { images } });
+    updated++;
+  }
+  console.log(`Processed images of ${updated} ${Model.collection.collectionName}`);
+};
+
+const backfillProfilePictures = async () => {
+  const cursor = User.collection.find({
+    'profilePicture.imageId': { $exists: true },
+    'profilePicture.thumbnailId': { $exists: false }
+  });
+  let updated = 0;
+  for await (const user of cursor) {
+    const ref = await backfillImage(user.profilePicture);
+    await User.collection.updateOne({ _id: user._id }, { $set: { profilePicture: ref } });
+    updated++;
+  }
+  console.log(`Processed ${updated} profile pictures`);
+};
+
+const backfill = async () => {
+  await connectDB();
+  await backfillImageArrays(Product);
+  await backfillImageArrays(Donation);
+  await backfillImageArrays(LostItem);
+  await backfillProfilePictures();
+};
+
+backfill()
+  .catch(err => {
+    console.error('Thumbnail backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,71 @@
+// One-off migration: move the image data embedded in products, donations,
+// lost items and profile pictures into the image store.
+// Usage: node scripts/migrateImages.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/product');
+const Donation = require('../models/donation');
+const LostItem = require('../models/lostItem');
+const User = require('../models/user');
+const { saveImage } = require('../services/imageStore');
+
+// Embedded images are { data, contentType } with data a Buffer (or a base64
+// string for lost items); migrated ones are { imageId, contentType }
+const toBuffer = (data) => {
+  if (!data) return null;
+  if (typeof data === 'string') return Buffer.from(data, 'base64');
+  if (data.buffer) return Buffer.from(data.buffer); // BSON Binary
+  return Buffer.from(data);
+};
+
+const migrateImage = async (image, metadata) => {
+  if (!image || image.imageId) return image;
+  const buffer = toBuffer(image.data);
+  if (!buffer) return null;
+  return saveImage(buffer, { contentType: image.contentType || 'image/jpeg', metadata });
+};
+
+const migrateImageArrays = async (Model, kind, ownerField) => {
+  const cursor = Model.collection.find({ 'images.data': { $exists: true } });
+  let migrated = 0;
+  for await (const doc of cursor) {
+    const images = [];
+    for (const image of doc.images) {
+      const ref = await migrateImage(image, { kind, owner: doc[ownerField] });
+      if (ref) images.push(ref);
+    }
+    await Model.collection.updateOne({ _id: doc._id }, { $set: { images } });
+    migrated++;
+  }
+  console.log(`Migrated images of ${migrated} ${Model.collection.collectionName}`);
+};
+
+const migrateProfilePictures = async () => {
+  const cursor = User.collection.find({ 'profilePicture.data': { $exists: true } });
+  let migrated = 0;
+  for await (const user of cursor) {
+    const ref = await migrateImage(user.profilePicture, { kind: 'profilePicture', owner: user._id });
+    await User.collection.updateOne(
+      { _id: user._id },
+      ref ? { $set: { profilePicture: ref } } : { $unset: { profilePicture: '' } }
+    );
+    migrated++;
+  }
+  console.log(`Migrated ${migrated} profile pictures`);
+};
+
+const migrate = async () => {
+  await connectDB();
+  await migrateImageArrays(Product, 'product', 'seller');
+  await migrateImageArrays(Donation, 'donation', 'donatedBy');
+  await migrateImageArrays(LostItem, 'lostItem', 'user');
+  await migrateProfilePictures();
+};
+
+migrate()
+  .catch(err => {
+    console.error('Image migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,86 @@
+// One-off migration: move the messages embedded in conversations (messages)
+// into the Message collection and fill in the conversation list fields
+// (lastMessage, lastActivityAt, readState).
+// Usage: node scripts/migrateMessages.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Conversation = require('../models/conversation');
+const Message = require('../models/message');
+
+const migrate = async () => {
+  await connectDB();
+  await Message.syncIndexes();
+
+  // Read the raw documents: messages is no longer part of the schema
+  const cursor = Conversation.collection.find({ messages: { $exists: true } });
+
+  let migrated = 0;
+  for await (const conversation of cursor) {
+    const messages = (conversation.messages || []).map(message => ({
+      conversation: conversation._id,
+      messageId: message.messageId,
+      sender: message.sender,
+      text: message.text,
+      replyTo: message.replyTo,
+      createdAt: message.createdAt || conversation.createdAt
+    }));
+
+    // messageIds used to be allocated with a read-modify-write, so concurrent
+    // sends could share one; give duplicates new IDs after the last message
+    let lastMessageId = messages.reduce((max, m) => Math.max(max, m.messageId || 0), 0);
+    const seen = new Set();
+    for (const message of messages) {
+      if (!message.messageId || seen.has(message.messageId)) {
+        message.messageId = ++lastMessageId;
+      }
+      seen.add(message.messageId);
+    }
+
+    if (messages.length > 0) {
+      // Re-running the migration skips messages that were already copied
+      try {
+        await Message.collection.insertMany(messages, { ordered: false });
+      } catch (err) {
+        if (!err.writeErrors || err.writeErrors.some(e => e.code !== 11000)) throw err;
+      }
+    }
+
+    // Preview of the last message, and the history counts as read
+    const last = messages.reduce((latest, m) => (!latest || m.messageId > latest.messageId ? m : latest), null);
+    const $set = {
+      lastActivityAt: last ? last.createdAt : conversation.updatedAt || conversation.createdAt
+    };
+    if (last) {
+      $set.lastMessage = {
+        messageId: last.messageId,
+        sender: last.sender,
+        text: last.text,
+        createdAt: last.createdAt
+      };
+      for (const participant of conversation.participants) {
+        $set[`readState.${participant}`] = { lastReadMessageId: last.messageId, readAt: new Date() };
+      }
+    }
+
+    // nextMessageId must stay ahead of every migrated message
+    await Conversation.collection.updateOne(
+      { _id: conversation._id },
+      {
+        $set,
+        $unset: { messages: '' },
+        $max: { nextMessageId: lastMessageId + 1 }
+      }
+    );
+    migrated += messages.length;
+  }
+
+  console.log(`Migrated ${migrated} messages`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Message migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
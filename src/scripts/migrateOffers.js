@@ -0,0 +1,55 @@
+// One-off migration: move the offers embedded in products (offerRequests)
+// into the Offer collection.
+// Usage: node scripts/migrateOffers.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Product = require('../models/product');
+const Offer = require('../models/offer');
+const { refreshOfferCount } = require('../services/offers');
+
+const OFFER_EXPIRY_MS = (parseInt(process.env.OFFER_EXPIRY_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const migrate = async () => {
+  await connectDB();
+
+  // Read the raw documents: offerRequests is no longer part of the schema
+  const cursor = Product.collection.find({ 'offerRequests.0': { $exists: true } });
+
+  let migrated = 0;
+  for await (const product of cursor) {
+    for (const request of product.offerRequests) {
+      if (!request.buyer) continue;
+      const createdAt = request.createdAt || product.createdAt || new Date();
+      await Offer.create({
+        product: product._id,
+        buyer: request.buyer,
+        seller: product.seller,
+        offerPrice: request.offerPrice,
+        status: product.status === 'available' ? 'pending' : 'expired',
+        history: [{ status: 'pending', price: request.offerPrice, by: request.buyer, at: createdAt }],
+        expiresAt: new Date(Date.now() + OFFER_EXPIRY_MS),
+        createdAt
+      });
+      migrated++;
+    }
+
+    await Product.collection.updateOne({ _id: product._id }, { $unset: { offerRequests: '' } });
+    await refreshOfferCount(product._id);
+  }
+
+  // Products whose offer list was already empty
+  await Product.collection.updateMany(
+    { offerRequests: { $exists: true } },
+    { $unset: { offerRequests: '' } }
+  );
+
+  console.log(`Migrated ${migrated} offers`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Offer migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
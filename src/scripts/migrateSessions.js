@@ -0,0 +1,54 @@
+// One-off migration: turn the auth cookie stored on each user (authCookie,
+// authCookieCreated, authCookieExpires) into a Session, so nobody is logged
+// out, and remove those fields.
+// Usage: node scripts/migrateSessions.js
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/user');
+const Session = require('../models/session');
+
+const migrate = async () => {
+  await connectDB();
+  await Session.syncIndexes();
+
+  // Read the raw documents: the authCookie fields are no longer in the schema
+  const cursor = User.collection.find({ authCookie: { $exists: true } });
+
+  let migrated = 0;
+  for await (const user of cursor) {
+    if (user.authCookie && user.authCookieExpires > new Date()) {
+      // Re-running the migration skips cookies that were already copied
+      await Session.collection.updateOne(
+        { tokenHash: Session.hashToken(user.authCookie) },
+        {
+          $setOnInsert: {
+            user: user._id,
+            tokenHash: Session.hashToken(user.authCookie),
+            userAgent: null,
+            ip: null,
+            createdAt: user.authCookieCreated || new Date(),
+            lastUsedAt: user.lastSeen || new Date(),
+            expiresAt: user.authCookieExpires
+          }
+        },
+        { upsert: true }
+      );
+      migrated++;
+    }
+
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $unset: { authCookie: '', authCookieCreated: '', authCookieExpires: '' } }
+    );
+  }
+
+  console.log(`Migrated ${migrated} sessions`);
+};
+
+migrate()
+  .catch(err => {
+    console.error('Session migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,6 +7,8 @@ require("dotenv").config();
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/error');
 const authenticate = require('./middleware/auth');
+const { startJobs } = require('./jobs');
+const { initRealtime } = require('./services/realtime');
 
 // Import routes
 const adminRoutes = require('./routes/adminRoutes');
@@ -20,9 +22,24 @@ const blockRoutes = require('./routes/blockRoutes');
 const notificationRoutes = require('./routes/notifications');
 const reportRoutes = require('./routes/reports');
 const lostItemRoutes = require('./routes/lostItems');
+const reviewRoutes = require('./routes/reviews');
+const savedSearchRoutes = require('./routes/savedSearches');
+const imageRoutes = require('./routes/images');
+const sessionRoutes = require('./routes/sessions');
+const twoFactorRoutes = require('./routes/twoFactor');
 
 const app = express();
 
+// TRUST_PROXY: set when running behind a reverse proxy or load balancer, so
+// req.ip (used by the per-IP rate limits, middleware/rateLimit.js) is the
+// client address from X-Forwarded-For. "true" trusts every proxy, a number
+// the given count of hops, anything else is passed to Express as is
+// (e.g. "loopback" or "10.0.0.0/8"). Only trust proxies you control.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Enhanced CORS configuration
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
@@ -35,6 +52,9 @@ app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 // Connect to MongoDB
 connectDB();
 
+// Start background jobs (offer expiry, reservation release, digests, ...)
+startJobs();
+
 // Use routes
 app.use('/api/admin/', adminRoutes);
 app.use('/api', authRoutes);
@@ -47,6 +67,11 @@ app.use('/api/users', blockRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/reports', reportRoutes);
 app.use('/api/lost-items', lostItemRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/images', imageRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/2fa', twoFactorRoutes);
 
 // Add a basic route to check if server is running
 app.get('/', (req, res) => {
@@ -59,6 +84,9 @@ app.use(errorHandler);
 
 // Starting the server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+});
+
+// WebSocket channel for chat messages, typing and presence
+initRealtime(server);
@@ -0,0 +1,61 @@
+const User = require('../models/user');
+const { sendTemplate } = require('./mail');
+
+// Temporary lockout after repeated wrong passwords or two-factor codes. The
+// account owner is emailed when it happens, since it usually means someone
+// is guessing.
+
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Minutes left on a user's lockout, or 0 if they can log in
+const lockoutMinutesLeft = (user) => {
+  if (!user.lockUntil || user.lockUntil <= Date.now()) return 0;
+  return Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
+};
+
+// Count a wrong password or 2FA code. Returns true if this attempt locked the account.
+const recordFailedLogin = async (user, req) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+  if (!updated || updated.failedLoginAttempts < MAX_FAILED_LOGINS) return false;
+
+  // Only the request that crosses the threshold locks and sends the alert
+  const lockUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  const result = await User.updateOne(
+    { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_LOGINS } },
+    { $set: { failedLoginAttempts: 0, lockUntil } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  try {
+    await sendTemplate('accountLocked', user.email, {
+      userName: user.userName,
+      attempts: MAX_FAILED_LOGINS,
+      minutes: LOCKOUT_MINUTES,
+      ip: req.ip
+    });
+  } catch (err) {
+    console.error('Lockout email error:', err);
+  }
+  return true;
+};
+
+// Forget earlier failures after a successful login or password reset
+const clearFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } }
+  );
+};
+
+module.exports = {
+  LOCKOUT_MINUTES,
+  lockoutMinutesLeft,
+  recordFailedLogin,
+  clearFailedLogins
+};
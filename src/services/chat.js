@@ -0,0 +1,401 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/conversation');
+const Message = require('../models/message');
+const Offer = require('../models/offer');
+const BlockList = require('../models/blockList');
+const UserReport = require('../models/UserReport');
+const HttpError = require('../utils/httpError');
+const { emitMessage, emitFromUser } = require('./realtime');
+const { saveImage, imageUrl, toImageResponse } = require('./imageStore');
+const { detectImageType, storeImage } = require('./imagePipeline');
+const { hasAdminAccess } = require('./twoFactor');
+
+// How long after sending a message its sender can still edit it
+const EDIT_WINDOW_MS = (parseFloat(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+// Files other than images that can be attached, recognised by magic bytes
+const isPdf = (buffer) => buffer && buffer.length > 5 && buffer.toString('ascii', 0, 5) === '%PDF-';
+
+const isSameUser = (a, b) => a && b && a.toString() === b.toString();
+
+const otherParticipant = (conversation, userId) =>
+  conversation.participants.find(p => !isSameUser(p._id || p, userId));
+
+// Offer fields embedded in 'offer' messages
+const OFFER_FIELDS = 'product offerPrice counterPrice status expiresAt';
+
+// Listings a conversation can be about, by the itemType clients send
+const ITEM_TYPES = {
+  product: { model: 'Product', owner: 'seller' },
+  donation: { model: 'Donations', owner: 'donatedBy' },
+  lostItem: { model: 'LostItem', owner: 'user' }
+};
+
+// Find the conversation between the user and `participantId` about an item
+// (or their general conversation), creating it if needed. The owner of the
+// item must be one of the two participants.
+const openConversation = async ({ user, participantId, itemType, itemId }) => {
+  if (!mongoose.Types.ObjectId.isValid(participantId)) {
+    throw new HttpError(400, 'participantId is required');
+  }
+  if (isSameUser(user._id, participantId)) {
+    throw new HttpError(400, 'You cannot start a conversation with yourself');
+  }
+
+  let item = null;
+  let type;
+  if (itemType || itemId) {
+    type = ITEM_TYPES[itemType];
+    if (!type) {
+      throw new HttpError(400, `itemType must be one of: ${Object.keys(ITEM_TYPES).join(', ')}`);
+    }
+    item = mongoose.Types.ObjectId.isValid(itemId)
+      && await mongoose.model(type.model).findById(itemId).select(`${type.owner} status`).lean();
+    if (!item || item.status === 'deleted') {
+      throw new HttpError(404, 'Item not found');
+    }
+    if (![user._id, participantId].some(id => isSameUser(item[type.owner], id))) {
+      throw new HttpError(400, 'The item does not belong to either participant');
+    }
+  }
+
+  const participants = [user._id, participantId].sort();
+
+  let conversation = await Conversation.findOne({
+    participants: { $all: participants },
+    item: item ? item._id : null
+  });
+
+  if (!conversation) {
+    conversation = new Conversation({
+      participants,
+      item: item ? item._id : null,
+      itemType: item ? type.model : undefined,
+      nextMessageId: 1
+    });
+    await conversation.save();
+  }
+  return conversation;
+};
+
+// Short description of the item of a populated conversation, for lists
+const toItemSummary = (item, itemType) => {
+  if (!item) return null;
+  const images = item.images || [];
+  return {
+    _id: item._id,
+    type: Object.keys(ITEM_TYPES).find(key => ITEM_TYPES[key].model === itemType),
+    name: item.name,
+    price: item.price,
+    status: item.status,
+    thumbnail: images.length > 0 ? toImageResponse(images[0]).thumbnailUrl : null
+  };
+};
+
+// Hand out the next messageId of a conversation. $inc is atomic, so two
+// messages sent at the same time never get the same ID.
+const allocateMessageId = async (conversationId) => {
+  const conversation = await Conversation.findOneAndUpdate(
+    { _id: conversationId },
+    { $inc: { nextMessageId: 1 } },
+    { new: true, projection: { nextMessageId: 1 } }
+  );
+  return conversation.nextMessageId - 1;
+};
+
+// Move a participant's read marker forward to `messageId` (never back) and
+// tell the other participant, for read receipts
+const markRead = async (conversation, userId, messageId) => {
+  const key = `readState.${userId}`;
+  const updated = await Conversation.findOneAndUpdate(
+    { _id: conversation._id },
+    {
+      $max: { [`${key}.lastReadMessageId`]: messageId },
+      $set: { [`${key}.readAt`]: new Date() }
+    },
+    { new: true, projection: { readState: 1 } }
+  );
+  const lastReadMessageId = updated.readState.get(userId.toString()).lastReadMessageId;
+
+  await emitFromUser(userId, otherParticipant(conversation, userId), {
+    type: 'read',
+    conversationId: conversation._id,
+    userId,
+    lastReadMessageId
+  });
+
+  return lastReadMessageId;
+};
+
+// Messages the user has not read yet in a conversation
+const countUnread = (conversation, userId) => {
+  const readState = conversation.readState && conversation.readState[userId.toString()];
+  return Message.countDocuments({
+    conversation: conversation._id,
+    messageId: { $gt: readState ? readState.lastReadMessageId : 0 },
+    sender: { $ne: userId },
+    deletedAt: null
+  });
+};
+
+// Reject the upload unless every file is an image or a PDF
+const validateAttachments = (files = []) => {
+  for (const file of files) {
+    if (!detectImageType(file.buffer) && !isPdf(file.buffer)) {
+      throw new HttpError(400, `${file.originalname || 'File'} is not a supported attachment (image or PDF)`);
+    }
+  }
+};
+
+const storeAttachments = async (files = [], metadata) => {
+  const attachments = [];
+  for (const file of files) {
+    const base = { name: file.originalname, size: file.size };
+    if (detectImageType(file.buffer)) {
+      const ref = await storeImage(file.buffer, { name: file.originalname, metadata });
+      attachments.push({ ...base, kind: 'image', ...ref });
+    } else {
+      const ref = await saveImage(file.buffer, { contentType: 'application/pdf', metadata });
+      attachments.push({ ...base, kind: 'file', ...ref });
+    }
+  }
+  return attachments;
+};
+
+const toAttachmentResponse = (attachment) => ({
+  ...attachment,
+  url: imageUrl(attachment.imageId),
+  thumbnailUrl: attachment.thumbnailId ? imageUrl(attachment.thumbnailId) : null
+});
+
+// Shape of a message in API responses and realtime events. The history is
+// only there when an admin query selected it.
+const toMessageResponse = (message) => ({
+  ...message,
+  deleted: !!message.deletedAt,
+  attachments: (message.attachments || []).map(toAttachmentResponse),
+  history: message.history && message.history.map(version => ({
+    ...version,
+    attachments: (version.attachments || []).map(toAttachmentResponse)
+  }))
+});
+
+// Chat attachments are visible to the participants of the conversation, and
+// to admins once a participant shares the chat in a report (includeChat)
+const canViewConversation = async (user, conversationId) => {
+  const conversation = await Conversation.findById(conversationId).select('participants').lean();
+  if (!conversation) return false;
+  if (conversation.participants.some(p => isSameUser(p, user._id))) return true;
+
+  return (await hasAdminAccess(user)) && !!(await UserReport.exists({
+    conversationId: conversation._id,
+    includeChat: true
+  }));
+};
+
+// Store a message sent by `sender` and push it to connected clients.
+// A message to a user who blocked the sender still uses up a messageId but
+// is not stored, so the sender cannot tell they are blocked.
+const postMessage = async ({ conversation, sender, text, replyTo, replyType, files = [], kind, offer }) => {
+  validateAttachments(files);
+  const messageId = await allocateMessageId(conversation._id);
+
+  const blockExists = await BlockList.exists({
+    blocker: otherParticipant(conversation, sender._id),
+    blocked: sender._id
+  });
+  if (blockExists) {
+    return { messageId, message: null };
+  }
+
+  const attachments = await storeAttachments(files, {
+    kind: 'chat',
+    conversationId: conversation._id,
+    owner: sender._id
+  });
+
+  const message = await Message.create({
+    conversation: conversation._id,
+    messageId,
+    sender: sender._id,
+    kind,
+    offer,
+    text,
+    attachments,
+    replyTo: replyTo && replyType ? { id: replyTo, type: replyType } : undefined
+  });
+  if (offer) {
+    await message.populate('offer', OFFER_FIELDS);
+  }
+
+  // Update the list preview, unless a later message got there first, and
+  // count the message as read by its sender
+  await Conversation.updateOne(
+    { _id: conversation._id, 'lastMessage.messageId': { $not: { $gte: messageId } } },
+    {
+      $set: {
+        lastMessage: {
+          messageId,
+          sender: sender._id,
+          text: message.text,
+          attachmentCount: attachments.length,
+          createdAt: message.createdAt
+        },
+        lastActivityAt: message.createdAt
+      }
+    }
+  );
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { $max: { [`readState.${sender._id}.lastReadMessageId`]: messageId } }
+  );
+
+  await emitMessage(conversation, toMessageResponse(message.toObject()));
+
+  return { messageId, message };
+};
+
+const loadOwnMessage = async ({ conversation, sender, messageId }) => {
+  const id = parseInt(messageId);
+  const message = !isNaN(id) && await Message.findOne({ conversation: conversation._id, messageId: id });
+  if (!message) {
+    throw new HttpError(404, 'Message not found');
+  }
+  if (!isSameUser(message.sender, sender._id)) {
+    throw new HttpError(405, 'Only the sender can change a message');
+  }
+  if (message.deletedAt) {
+    throw new HttpError(400, 'Message has been deleted');
+  }
+  if (message.kind === 'offer') {
+    throw new HttpError(400, 'Offer messages change through the offer itself');
+  }
+  return message;
+};
+
+// Keep the conversation list preview in sync when its message changes
+const refreshPreview = (conversation, message) => Conversation.updateOne(
+  { _id: conversation._id, 'lastMessage.messageId': message.messageId },
+  {
+    $set: {
+      'lastMessage.text': message.text,
+      'lastMessage.attachmentCount': message.attachments.length,
+      'lastMessage.deleted': !!message.deletedAt
+    }
+  }
+);
+
+// Apply a change to a message the sender owns. The update only matches if
+// the message is unchanged since it was read, and the previous version goes
+// into the audit history.
+const changeMessage = async (conversation, message, action, changes) => {
+  const now = new Date();
+  const updated = await Message.findOneAndUpdate(
+    { _id: message._id, deletedAt: null, text: message.text },
+    {
+      $set: { ...changes, updatedAt: now },
+      $push: { history: { action, text: message.text, attachments: message.attachments, at: now } }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw new HttpError(409, 'Message was changed in the meantime');
+  }
+
+  await refreshPreview(conversation, updated);
+  await emitMessage(conversation, toMessageResponse(updated.toObject()), 'message:updated');
+  return updated;
+};
+
+// Sender corrects the text of a message within the edit window
+const editMessage = async ({ conversation, sender, messageId, text }) => {
+  const message = await loadOwnMessage({ conversation, sender, messageId });
+  if (Date.now() - message.createdAt.getTime() > EDIT_WINDOW_MS) {
+    throw new HttpError(400, 'Message can no longer be edited');
+  }
+  if (!text && message.attachments.length === 0) {
+    throw new HttpError(400, 'Message text is required');
+  }
+  if (text === message.text) {
+    return message;
+  }
+
+  return changeMessage(conversation, message, 'edited', { text: text || '', editedAt: new Date() });
+};
+
+// Sender deletes a message for everyone. A tombstone stays in its place;
+// the attachments are kept in the image store for the audit trail.
+const deleteMessage = async ({ conversation, sender, messageId }) => {
+  const message = await loadOwnMessage({ conversation, sender, messageId });
+  return changeMessage(conversation, message, 'deleted', {
+    text: '',
+    attachments: [],
+    deletedAt: new Date()
+  });
+};
+
+// Embed the current state of the offer in 'offer' messages (lean documents)
+const populateOffers = (messages) => Message.populate(messages, { path: 'offer', select: OFFER_FIELDS });
+
+// Summary of an offer shown as the text of its chat message
+const describeOffer = (offer) => {
+  switch (offer.status) {
+    case 'countered': return `Counter-offer of ₹${offer.counterPrice} (offered ₹${offer.offerPrice})`;
+    case 'accepted': return `Offer of ₹${offer.offerPrice} accepted`;
+    case 'declined': return `Offer of ₹${offer.offerPrice} declined`;
+    case 'withdrawn': return `Offer of ₹${offer.offerPrice} withdrawn`;
+    case 'expired': return `Offer of ₹${offer.offerPrice} expired`;
+    default: return `Offer of ₹${offer.offerPrice}`;
+  }
+};
+
+// Show an offer in the buyer and seller's conversation about the product.
+// The first call posts an 'offer' message from the buyer; later calls (the
+// offer was revised, countered, accepted...) update that message in place.
+const syncOfferMessage = async (offerId) => {
+  const offer = await Offer.findById(offerId);
+  if (!offer) return;
+  const text = describeOffer(offer);
+
+  const existing = await Message.findOne({ offer: offer._id, kind: 'offer' });
+  if (!existing) {
+    const conversation = await openConversation({
+      user: { _id: offer.buyer },
+      participantId: offer.seller,
+      itemType: 'product',
+      itemId: offer.product
+    });
+    await postMessage({ conversation, sender: { _id: offer.buyer }, text, kind: 'offer', offer: offer._id });
+    return;
+  }
+
+  const now = new Date();
+  const message = await Message.findOneAndUpdate(
+    { _id: existing._id },
+    { $set: { text, updatedAt: now } },
+    { new: true }
+  ).populate('offer', OFFER_FIELDS);
+
+  const conversation = await Conversation.findByIdAndUpdate(
+    message.conversation,
+    { $set: { lastActivityAt: now } },
+    { new: true }
+  );
+  await refreshPreview(conversation, message);
+  await emitMessage(conversation, toMessageResponse(message.toObject()), 'message:updated');
+};
+
+module.exports = {
+  openConversation,
+  toItemSummary,
+  otherParticipant,
+  markRead,
+  countUnread,
+  toMessageResponse,
+  canViewConversation,
+  postMessage,
+  editMessage,
+  deleteMessage,
+  populateOffers,
+  syncOfferMessage
+};
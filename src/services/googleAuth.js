@@ -0,0 +1,120 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const HttpError = require('../utils/httpError');
+
+// Verification of Google Sign-In ID tokens (RS256 JWTs) against Google's
+// public keys. Configuration:
+// - GOOGLE_CLIENT_IDS: comma-separated OAuth client IDs tokens must be
+//   issued for (web, Android, ...). Google sign-in is disabled without it.
+// - GOOGLE_JWKS_URI: key set URL (Google's by default)
+// - GOOGLE_JWKS_FILE: read the key set from a local JSON file instead, so
+//   tests can sign their own tokens
+
+const DEFAULT_JWKS_URI = 'https://www.googleapis.com/oauth2/v3/certs';
+const ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const DEFAULT_KEYS_MAX_AGE_MS = 60 * 60 * 1000;
+const MIN_REFETCH_INTERVAL_MS = 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+const clientIds = () => (process.env.GOOGLE_CLIENT_IDS || '')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+// kid -> KeyObject, refreshed when it expires or a token uses an unknown kid
+let keyCache = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+
+const toKeyMap = (jwks) => new Map((jwks.keys || [])
+  .filter(jwk => jwk.kty === 'RSA' && jwk.kid)
+  .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+
+const loadKeys = async () => {
+  if (process.env.GOOGLE_JWKS_FILE) {
+    const jwks = JSON.parse(await fs.promises.readFile(process.env.GOOGLE_JWKS_FILE, 'utf8'));
+    return { keys: toKeyMap(jwks), expiresAt: Date.now() + DEFAULT_KEYS_MAX_AGE_MS };
+  }
+
+  const response = await fetch(process.env.GOOGLE_JWKS_URI || DEFAULT_JWKS_URI);
+  if (!response.ok) {
+    throw new Error(`Fetching Google keys failed with status ${response.status}`);
+  }
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  return {
+    keys: toKeyMap(await response.json()),
+    expiresAt: Date.now() + (maxAge ? parseInt(maxAge[1]) * 1000 : DEFAULT_KEYS_MAX_AGE_MS)
+  };
+};
+
+const getKey = async (kid) => {
+  const now = Date.now();
+  // Unknown key IDs refetch (Google rotates keys) at most once a minute, so
+  // made-up tokens can't make us hammer the key endpoint
+  const rotated = !keyCache.keys.has(kid) && now - keyCache.fetchedAt >= MIN_REFETCH_INTERVAL_MS;
+  if (keyCache.expiresAt <= now || rotated) {
+    keyCache = { ...(await loadKeys()), fetchedAt: now };
+  }
+  return keyCache.keys.get(kid);
+};
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Verify an ID token and return the Google identity it proves:
+// { googleId, email, emailVerified, name, picture }. Throws an HttpError
+// (401 for a bad token) otherwise.
+const verifyGoogleIdToken = async (idToken) => {
+  const audiences = clientIds();
+  if (audiences.length === 0) {
+    throw new HttpError(503, 'Google sign-in is not configured');
+  }
+  if (!idToken || typeof idToken !== 'string') {
+    throw new HttpError(400, 'idToken is required');
+  }
+
+  const parts = idToken.split('.');
+  if (parts.length !== 3) {
+    throw new HttpError(401, 'Invalid Google token');
+  }
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(parts[0]);
+    payload = decodeSegment(parts[1]);
+  } catch (err) {
+    throw new HttpError(401, 'Invalid Google token');
+  }
+  if (header.alg !== 'RS256' || !header.kid) {
+    throw new HttpError(401, 'Invalid Google token');
+  }
+
+  const key = await getKey(header.kid);
+  const signatureValid = key && crypto.verify(
+    'RSA-SHA256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    key,
+    Buffer.from(parts[2], 'base64url')
+  );
+  if (!signatureValid) {
+    throw new HttpError(401, 'Invalid Google token');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tokenAudiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if (!ISSUERS.includes(payload.iss) ||
+      !tokenAudiences.some(aud => audiences.includes(aud)) ||
+      typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW_SECONDS < now ||
+      (typeof payload.iat === 'number' && payload.iat - CLOCK_SKEW_SECONDS > now) ||
+      !payload.sub) {
+    throw new HttpError(401, 'Invalid or expired Google token');
+  }
+
+  return {
+    googleId: String(payload.sub),
+    email: payload.email ? String(payload.email).toLowerCase() : null,
+    emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+    name: payload.name || null,
+    picture: payload.picture || null
+  };
+};
+
+module.exports = { verifyGoogleIdToken };
@@ -0,0 +1,97 @@
+const sharp = require('sharp');
+const HttpError = require('../utils/httpError');
+const { saveImage } = require('./imageStore');
+
+// Longest side of the stored renditions, in pixels
+const FULL_SIZE = parseInt(process.env.IMAGE_FULL_SIZE) || 1600;
+const THUMBNAIL_SIZE = parseInt(process.env.IMAGE_THUMBNAIL_SIZE) || 320;
+
+// Accepted image formats, recognised by their magic bytes rather than the
+// client supplied mimetype
+const SIGNATURES = [
+  { type: 'jpeg', test: b => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: 'png', test: b => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'gif', test: b => b.length > 6 && ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)) },
+  { type: 'webp', test: b => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' }
+];
+
+const detectImageType = (buffer) => {
+  const match = SIGNATURES.find(signature => signature.test(buffer));
+  return match ? match.type : null;
+};
+
+// Re-encode to a bounded size. The output carries no EXIF/XMP metadata (sharp
+// drops it unless asked to keep it), so GPS tags from phone cameras are gone;
+// rotate() first applies the EXIF orientation so the picture stays upright.
+const render = async (buffer, size, hasAlpha) => {
+  const pipeline = sharp(buffer, { failOn: 'error' })
+    .rotate()
+    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+
+  if (hasAlpha) {
+    return { data: await pipeline.png({ compressionLevel: 9 }).toBuffer(), contentType: 'image/png' };
+  }
+  return { data: await pipeline.jpeg({ quality: 82, mozjpeg: true }).toBuffer(), contentType: 'image/jpeg' };
+};
+
+// Validate an uploaded image and produce its full-size and thumbnail renditions
+const processImage = async (buffer, name = 'image') => {
+  if (!buffer || !detectImageType(buffer)) {
+    throw new HttpError(400, `${name} is not a supported image (JPEG, PNG, GIF or WebP)`);
+  }
+
+  let info;
+  try {
+    info = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new HttpError(400, `${name} could not be read as an image`);
+  }
+
+  const hasAlpha = !!info.hasAlpha;
+  const [full, thumbnail] = await Promise.all([
+    render(buffer, FULL_SIZE, hasAlpha),
+    render(buffer, THUMBNAIL_SIZE, hasAlpha)
+  ]);
+  return { full, thumbnail };
+};
+
+// Process an image and store both renditions; returns an image ref
+// (models/imageRef.js)
+const storeImage = async (buffer, { name, metadata = {} } = {}) => {
+  const { full, thumbnail } = await processImage(buffer, name);
+
+  const stored = await saveImage(full.data, { contentType: full.contentType, metadata });
+  const thumb = await saveImage(thumbnail.data, {
+    contentType: thumbnail.contentType,
+    metadata: { ...metadata, rendition: 'thumbnail' }
+  });
+
+  return {
+    imageId: stored.imageId,
+    thumbnailId: thumb.imageId,
+    contentType: full.contentType
+  };
+};
+
+// Process every file uploaded through middleware/upload.js. All files are
+// validated before anything is stored, so a bad file rejects the whole upload.
+const storeUploadedImages = async (files = [], metadata = {}) => {
+  for (const file of files) {
+    if (!detectImageType(file.buffer)) {
+      throw new HttpError(400, `${file.originalname || 'File'} is not a supported image (JPEG, PNG, GIF or WebP)`);
+    }
+  }
+
+  const refs = [];
+  for (const file of files) {
+    refs.push(await storeImage(file.buffer, { name: file.originalname, metadata }));
+  }
+  return refs;
+};
+
+module.exports = {
+  detectImageType,
+  processImage,
+  storeImage,
+  storeUploadedImages
+};
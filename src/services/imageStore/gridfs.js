@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Images stored in the 'images' GridFS bucket of the main database
+let bucket;
+const getBucket = () => {
+  if (!bucket) {
+    bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'images' });
+  }
+  return bucket;
+};
+
+const save = (id, buffer, metadata) => new Promise((resolve, reject) => {
+  const upload = getBucket().openUploadStreamWithId(id, id.toString(), { metadata });
+  upload.once('error', reject);
+  upload.once('finish', () => resolve());
+  upload.end(buffer);
+});
+
+const stat = async (id) => {
+  const file = await getBucket().find({ _id: id }).next();
+  if (!file) return null;
+  return {
+    length: file.length,
+    uploadDate: file.uploadDate,
+    metadata: file.metadata || {}
+  };
+};
+
+const createReadStream = (id) => getBucket().openDownloadStream(id);
+
+const remove = async (id) => {
+  try {
+    await getBucket().delete(id);
+  } catch (err) {
+    // Already gone
+    if (!/FileNotFound|File not found/i.test(err.message)) throw err;
+  }
+};
+
+module.exports = { save, stat, createReadStream, remove };
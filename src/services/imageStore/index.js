@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Shared image storage for products, donations, lost items and profile
+// pictures. Documents only keep image IDs (see models/imageRef.js); the
+// binary data lives in the backend picked by IMAGE_STORE ('gridfs' or 'local').
+const backends = {
+  gridfs: () => require('./gridfs'),
+  local: () => require('./local')
+};
+
+const backendName = process.env.IMAGE_STORE || 'gridfs';
+if (!backends[backendName]) {
+  throw new Error(`Unknown IMAGE_STORE "${backendName}", use one of: ${Object.keys(backends).join(', ')}`);
+}
+const backend = backends[backendName]();
+
+const toObjectId = (id) => {
+  if (id instanceof mongoose.Types.ObjectId) return id;
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return new mongoose.Types.ObjectId(id);
+};
+
+// Store an image and return its reference ({ imageId, contentType })
+const saveImage = async (buffer, { contentType, metadata = {} }) => {
+  const imageId = new mongoose.Types.ObjectId();
+  await backend.save(imageId, buffer, {
+    ...metadata,
+    contentType,
+    hash: crypto.createHash('sha1').update(buffer).digest('hex')
+  });
+  return { imageId, contentType };
+};
+
+// Size, content type and metadata of a stored image, or null
+const getImageInfo = async (id) => {
+  const imageId = toObjectId(id);
+  if (!imageId) return null;
+
+  const info = await backend.stat(imageId);
+  if (!info) return null;
+  return {
+    imageId,
+    contentType: info.metadata.contentType || 'application/octet-stream',
+    length: info.length,
+    uploadDate: info.uploadDate,
+    etag: `"${info.metadata.hash || imageId.toString()}"`,
+    metadata: info.metadata
+  };
+};
+
+const openImageStream = (id) => backend.createReadStream(toObjectId(id));
+
+const deleteImages = async (ids = []) => {
+  for (const id of ids) {
+    const imageId = toObjectId(id);
+    if (!imageId) continue;
+    try {
+      await backend.remove(imageId);
+    } catch (err) {
+      console.error(`Failed to delete image ${imageId}:`, err);
+    }
+  }
+};
+
+// Image IDs (every rendition) referenced by a list of image refs
+// (models/imageRef.js)
+const imageIdsOf = (refs = []) => refs
+  .filter(Boolean)
+  .flatMap(ref => [ref.imageId, ref.thumbnailId])
+  .filter(Boolean);
+
+const imageUrl = (id) => `/api/images/${id}`;
+
+// Shape of an image ref in API responses. Images stored before thumbnails
+// were generated fall back to the full image.
+const toImageResponse = (ref) => ref && ref.imageId ? {
+  imageId: ref.imageId,
+  contentType: ref.contentType,
+  url: imageUrl(ref.imageId),
+  thumbnailUrl: imageUrl(ref.thumbnailId || ref.imageId)
+} : null;
+
+// Replace the images of a listing by the thumbnail of its first image,
+// for list endpoints
+const withThumbnail = ({ images, ...doc }) => ({
+  ...doc,
+  thumbnail: images && images.length > 0 ? toImageResponse(images[0]).thumbnailUrl : null,
+  numImages: images ? images.length : 0
+});
+
+// Stream an image with caching headers. Stored images never change, so an
+// image ID can be cached forever.
+const sendImage = async (req, res, id) => {
+  const info = await getImageInfo(id);
+  if (!info) {
+    return res.status(404).json({ success: false, error: 'Image not found' });
+  }
+
+  res.set({
+    'Content-Type': info.contentType,
+    'ETag': info.etag,
+    'Last-Modified': info.uploadDate.toUTCString(),
+    'Cache-Control': 'private, max-age=31536000, immutable'
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.set('Content-Length', info.length);
+  const stream = openImageStream(info.imageId);
+  stream.on('error', (err) => {
+    console.error('Image stream error:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: 'Server error' });
+    } else {
+      res.destroy(err);
+    }
+  });
+  stream.pipe(res);
+};
+
+module.exports = {
+  saveImage,
+  getImageInfo,
+  openImageStream,
+  deleteImages,
+  imageIdsOf,
+  imageUrl,
+  toImageResponse,
+  withThumbnail,
+  sendImage
+};
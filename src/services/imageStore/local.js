@@ -0,0 +1,41 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Images stored as files on local disk, with a JSON sidecar for metadata.
+// Meant for development or single-instance deployments.
+const IMAGE_DIR = path.resolve(
+  process.env.IMAGE_STORE_DIR || path.join(__dirname, '..', '..', 'uploads', 'images')
+);
+
+const filePath = (id) => path.join(IMAGE_DIR, id.toString());
+const metaPath = (id) => `${filePath(id)}.json`;
+
+const save = async (id, buffer, metadata) => {
+  await fsp.mkdir(IMAGE_DIR, { recursive: true });
+  await fsp.writeFile(filePath(id), buffer);
+  await fsp.writeFile(metaPath(id), JSON.stringify({
+    length: buffer.length,
+    uploadDate: new Date(),
+    metadata
+  }));
+};
+
+const stat = async (id) => {
+  try {
+    const info = JSON.parse(await fsp.readFile(metaPath(id), 'utf8'));
+    return { ...info, uploadDate: new Date(info.uploadDate) };
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+const createReadStream = (id) => fs.createReadStream(filePath(id));
+
+const remove = async (id) => {
+  await fsp.rm(filePath(id), { force: true });
+  await fsp.rm(metaPath(id), { force: true });
+};
+
+module.exports = { save, stat, createReadStream, remove };
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const Invite = require('../models/invite');
+const HttpError = require('../utils/httpError');
+const { sendTemplate } = require('./mail');
+
+const DEFAULT_INVITE_DAYS = 14;
+const MAX_INVITE_DAYS = 90;
+
+// Filter selecting invites that can still be used
+const usableFilter = () => ({
+  usedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Create an invite for `email` and email its token. Returns the invite and
+// the token (shown once to the admin, in case the email does not arrive).
+const createInvite = async ({ email, kind, note, expiresInDays, createdBy }) => {
+  const days = expiresInDays === undefined ? DEFAULT_INVITE_DAYS : parseInt(expiresInDays);
+  if (isNaN(days) || days < 1 || days > MAX_INVITE_DAYS) {
+    throw new HttpError(400, `expiresInDays must be between 1 and ${MAX_INVITE_DAYS}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const invite = await Invite.create({
+    email,
+    kind,
+    note,
+    createdBy,
+    tokenHash: Invite.hashToken(token),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+  });
+
+  try {
+    await sendTemplate('invite', invite.email, {
+      token,
+      email: invite.email,
+      expiresInDays: days
+    });
+  } catch (err) {
+    console.error('Invite email error:', err);
+  }
+
+  return { invite, token };
+};
+
+// The usable invite with this token for this email, or null
+const findUsableInvite = async (token, email) => {
+  if (!token || !email) return null;
+  return Invite.findOne({
+    tokenHash: Invite.hashToken(token),
+    email: String(email).trim().toLowerCase(),
+    ...usableFilter()
+  });
+};
+
+// Mark an invite as used by a new account. Returns false if it was used,
+// revoked or expired in the meantime.
+const redeemInvite = async (inviteId, userId) => {
+  const result = await Invite.updateOne(
+    { _id: inviteId, ...usableFilter() },
+    { $set: { usedAt: new Date(), usedBy: userId } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Undo redeemInvite when the account it was redeemed for could not be created
+const releaseInvite = async (inviteId, userId) => {
+  await Invite.updateOne(
+    { _id: inviteId, usedBy: userId },
+    { $set: { usedAt: null, usedBy: null } }
+  );
+};
+
+module.exports = {
+  usableFilter,
+  createInvite,
+  findUsableInvite,
+  redeemInvite,
+  releaseInvite
+};
@@ -0,0 +1,33 @@
+const { createTransport } = require('./transports');
+const { templates } = require('./templates');
+
+// Mail subsystem: a transport picked by MAIL_TRANSPORT (see transports.js)
+// and HTML templates (see templates.js).
+
+let transport;
+const getTransport = () => {
+  if (!transport) transport = createTransport();
+  return transport;
+};
+
+const defaultFrom = () => process.env.MAIL_FROM || `"OLX for IITRPR" <${process.env.EMAIL_USER}>`;
+
+// Send an email built by the caller
+const sendEmail = async ({ to, subject, text, html }) => getTransport().sendMail({
+  from: defaultFrom(),
+  to,
+  subject,
+  text,
+  html: html || text
+});
+
+// Send an email from a template, e.g. sendTemplate('otp', email, { otp })
+const sendTemplate = async (name, to, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+  return sendEmail({ to, ...template(data) });
+};
+
+module.exports = { sendEmail, sendTemplate };
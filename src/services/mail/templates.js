@@ -0,0 +1,186 @@
+// Email templates. Each one takes its data and returns { subject, text, html };
+// the HTML is wrapped in a shared layout and every value is escaped.
+
+const APP_NAME = 'OLX for IITRPR';
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:0;background:#f4f4f5;font-family:Arial,Helvetica,sans-serif;color:#18181b;">
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0">
+      <tr>
+        <td align="center" style="padding:24px;">
+          <table role="presentation" width="560" cellpadding="0" cellspacing="0" style="background:#ffffff;border-radius:8px;">
+            <tr>
+              <td style="padding:20px 24px;border-bottom:1px solid #e4e4e7;font-size:18px;font-weight:bold;">${escapeHtml(APP_NAME)}</td>
+            </tr>
+            <tr>
+              <td style="padding:24px;">
+                <h1 style="margin:0 0 16px;font-size:20px;">${escapeHtml(title)}</h1>
+                ${body}
+              </td>
+            </tr>
+            <tr>
+              <td style="padding:16px 24px;border-top:1px solid #e4e4e7;font-size:12px;color:#71717a;">
+                You can change which emails you receive in the app's notification settings.
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+const paragraph = (text) => `<p style="margin:0 0 12px;line-height:1.5;">${escapeHtml(text)}</p>`;
+
+const code = (value) =>
+  `<p style="margin:16px 0;font-size:28px;letter-spacing:6px;font-weight:bold;">${escapeHtml(value)}</p>`;
+
+const list = (items) => `<ul style="margin:0 0 12px;padding-left:20px;line-height:1.6;">${
+  items.map(item => `<li>${escapeHtml(item)}</li>`).join('')
+}</ul>`;
+
+const greeting = (userName) => userName ? `Hi ${userName},` : 'Hi,';
+
+const templates = {
+  otp: ({ otp, expiresInMinutes = 15 }) => ({
+    subject: 'Email Verification OTP',
+    text: `Your OTP for email verification is: ${otp}. It will expire in ${expiresInMinutes} minutes.`,
+    html: layout('Verify your email', [
+      paragraph('Use this code to verify your email address:'),
+      code(otp),
+      paragraph(`It will expire in ${expiresInMinutes} minutes. If you did not request it, you can ignore this email.`)
+    ].join(''))
+  }),
+
+  passwordReset: ({ otp, expiresInMinutes = 15 }) => ({
+    subject: 'Password Reset OTP',
+    text: `Your password reset OTP is: ${otp}. It expires in ${expiresInMinutes} minutes.`,
+    html: layout('Reset your password', [
+      paragraph('Use this code to reset your password:'),
+      code(otp),
+      paragraph(`It expires in ${expiresInMinutes} minutes. If you did not ask for a password reset, someone may be trying to access your account.`)
+    ].join(''))
+  }),
+
+  // Registration invite for an address outside the allowed domains
+  invite: ({ token, email, expiresInDays }) => {
+    const link = process.env.CLIENT_URL
+      ? `${process.env.CLIENT_URL}/register?email=${encodeURIComponent(email)}&invite=${token}`
+      : null;
+    const intro = `You have been invited to join ${APP_NAME}.`;
+    const instructions = link
+      ? 'Open the link below to create your account:'
+      : 'Enter this invite code when you sign up with this email address:';
+    const expiry = `The invite expires in ${expiresInDays} days and only works for ${email}.`;
+    return {
+      subject: `You're invited to ${APP_NAME}`,
+      text: `Hi,\n\n${intro}\n${instructions}\n\n${link || token}\n\n${expiry}`,
+      html: layout(`You're invited to ${APP_NAME}`, [
+        paragraph('Hi,'),
+        paragraph(intro),
+        paragraph(instructions),
+        link
+          ? `<p style="margin:16px 0;"><a href="${escapeHtml(link)}" style="color:#2563eb;">Create your account</a></p>`
+          : `<p style="margin:16px 0;font-family:monospace;word-break:break-all;">${escapeHtml(token)}</p>`,
+        paragraph(expiry)
+      ].join(''))
+    };
+  },
+
+  offerReceived: ({ userName, message }) => ({
+    subject: 'You received an offer',
+    text: `${greeting(userName)}\n\n${message}\n\nOpen the app to accept, counter or decline it.`,
+    html: layout('You received an offer', [
+      paragraph(greeting(userName)),
+      paragraph(message),
+      paragraph('Open the app to accept, counter or decline it.')
+    ].join(''))
+  }),
+
+  accountBlocked: ({ userName, message }) => ({
+    subject: 'Your account has been blocked',
+    text: `${greeting(userName)}\n\n${message}\n\nIf you think this is a mistake, reply to this email.`,
+    html: layout('Your account has been blocked', [
+      paragraph(greeting(userName)),
+      paragraph(message),
+      paragraph('If you think this is a mistake, reply to this email.')
+    ].join(''))
+  }),
+
+  accountLocked: ({ userName, attempts, minutes, ip }) => {
+    const details = `There were ${attempts} failed login attempts on your account${ip ? ` (last one from ${ip})` : ''}, so it is locked for ${minutes} minutes.`;
+    const advice = 'If this was not you, we recommend resetting your password.';
+    return {
+      subject: 'Your account was temporarily locked',
+      text: `${greeting(userName)}\n\n${details}\n\n${advice}`,
+      html: layout('Your account was temporarily locked', [
+        paragraph(greeting(userName)),
+        paragraph(details),
+        paragraph(advice)
+      ].join(''))
+    };
+  },
+
+  // Any other notification type sent by email (services/notify.js)
+  notification: ({ userName, subject, message }) => ({
+    subject,
+    text: `${greeting(userName)}\n\n${message}`,
+    html: layout(subject, [
+      paragraph(greeting(userName)),
+      paragraph(message)
+    ].join(''))
+  }),
+
+  // Daily digest of unread notifications
+  notificationDigest: ({ userName, notifications, total }) => {
+    const more = total > notifications.length ? `...and ${total - notifications.length} more in the app.` : '';
+    return {
+      subject: `You have ${total} unread notification${total === 1 ? '' : 's'}`,
+      text: [
+        greeting(userName),
+        '',
+        'Here is what you missed:',
+        '',
+        ...notifications.map(n => `- ${n.message}`),
+        ...(more ? ['', more] : [])
+      ].join('\n'),
+      html: layout('Here is what you missed', [
+        paragraph(greeting(userName)),
+        list(notifications.map(n => n.message)),
+        more ? paragraph(more) : ''
+      ].join(''))
+    };
+  },
+
+  savedSearchDigest: ({ userName, matches, total }) => {
+    const lines = matches.map(({ search, product }) =>
+      `${product.name} (₹${product.price}) for "${search.name || search.keywords || search.category}"`);
+    return {
+      subject: `${total} new listing${total === 1 ? '' : 's'} for your saved searches`,
+      text: [
+        greeting(userName),
+        '',
+        'New listings matching your saved searches:',
+        '',
+        ...lines.map(line => `- ${line}`),
+        '',
+        'Open the app to see them before they are gone.'
+      ].join('\n'),
+      html: layout('New listings for your saved searches', [
+        paragraph(greeting(userName)),
+        list(lines),
+        paragraph('Open the app to see them before they are gone.')
+      ].join(''))
+    };
+  }
+};
+
+module.exports = { templates, escapeHtml };
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Mail transports, picked with MAIL_TRANSPORT:
+// - smtp (default): SMTP_HOST/SMTP_PORT/SMTP_SECURE, or the Gmail account in
+//   EMAIL_USER/EMAIL_PASSWORD when no SMTP_HOST is set
+// - file: every email is written as an .eml file to MAIL_FILE_DIR, for
+//   development
+// - stream: emails are built but only printed to the console, for tests
+const DEFAULT_FILE_DIR = path.join(__dirname, '..', '..', 'mail-outbox');
+
+const smtpTransport = () => {
+  const auth = {
+    user: process.env.SMTP_USER || process.env.EMAIL_USER,
+    pass: process.env.SMTP_PASSWORD || process.env.EMAIL_PASSWORD
+  };
+  if (!process.env.SMTP_HOST) {
+    return nodemailer.createTransport({ service: 'gmail', auth });
+  }
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: auth.user ? auth : undefined
+  });
+};
+
+// Sends through nodemailer's stream transport and writes the raw message
+const fileTransport = () => {
+  const dir = process.env.MAIL_FILE_DIR || DEFAULT_FILE_DIR;
+  const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  return {
+    sendMail: async (message) => {
+      const info = await transport.sendMail(message);
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '_')}.eml`);
+      await fs.promises.writeFile(file, info.message);
+      return { ...info, file };
+    }
+  };
+};
+
+const streamTransport = () => {
+  const transport = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    sendMail: async (message) => {
+      const info = await transport.sendMail(message);
+      const { to, subject } = JSON.parse(info.message);
+      console.log(`[mail] to=${JSON.stringify(to)} subject=${JSON.stringify(subject)}`);
+      return info;
+    }
+  };
+};
+
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  stream: streamTransport
+};
+
+const createTransport = (name = process.env.MAIL_TRANSPORT || 'smtp') => {
+  if (!transports[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}", use one of: ${Object.keys(transports).join(', ')}`);
+  }
+  return transports[name]();
+};
+
+module.exports = { createTransport };
@@ -0,0 +1,62 @@
+const User = require('../models/user');
+const Notification = require('../models/notification');
+const { sendTemplate } = require('./mail');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Notifications listed in one digest email
+const MAX_DIGEST_NOTIFICATIONS = 20;
+
+// Email users who opted in (notificationSettings.emailDigest) their unread
+// notifications from the last day. Runs more often than daily; a user gets
+// at most one digest a day.
+const sendNotificationDigests = async () => {
+  const now = new Date();
+  const users = await User.find({
+    'notificationSettings.emailDigest': true,
+    isBlocked: { $ne: true },
+    $or: [
+      { 'notificationSettings.lastDigestAt': null },
+      { 'notificationSettings.lastDigestAt': { $lte: new Date(now - DAY) } }
+    ]
+  }).select('userName email notificationSettings.lastDigestAt');
+
+  let sent = 0;
+  for (const user of users) {
+    const lastDigestAt = user.notificationSettings.lastDigestAt;
+    const since = lastDigestAt && lastDigestAt > new Date(now - DAY) ? lastDigestAt : new Date(now - DAY);
+    const query = {
+      userId: user._id,
+      read: false,
+      createdAt: { $gt: since, $lte: now }
+    };
+
+    const total = await Notification.countDocuments(query);
+    if (total > 0) {
+      const notifications = await Notification.find(query)
+        .select('message')
+        .sort({ createdAt: -1 })
+        .limit(MAX_DIGEST_NOTIFICATIONS)
+        .lean();
+      try {
+        await sendTemplate('notificationDigest', user.email, {
+          userName: user.userName,
+          notifications,
+          total
+        });
+        sent++;
+      } catch (err) {
+        console.error('Notification digest email error:', err);
+        continue;
+      }
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'notificationSettings.lastDigestAt': now } }
+    );
+  }
+  return sent;
+};
+
+module.exports = { sendNotificationDigests };
@@ -0,0 +1,11 @@
+const { EventEmitter } = require('events');
+
+// In-process bus of created notifications, fed by the post-save hook in
+// models/notification.js and consumed by GET /api/notifications/stream.
+// Events are named after the user ID the notification is for.
+const notificationEvents = new EventEmitter();
+
+// One listener per open stream, there can be many
+notificationEvents.setMaxListeners(0);
+
+module.exports = notificationEvents;
@@ -0,0 +1,20 @@
+const Notification = require('../models/notification');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Read notifications are kept this long; unread and archived ones are never
+// removed
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+// Delete read notifications older than the retention period
+const deleteOldNotifications = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY);
+  const result = await Notification.deleteMany({
+    read: true,
+    archived: { $ne: true },
+    createdAt: { $lt: cutoff }
+  });
+  return result.deletedCount;
+};
+
+module.exports = { deleteOldNotifications };
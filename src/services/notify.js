@@ -0,0 +1,96 @@
+const User = require('../models/user');
+const Notification = require('../models/notification');
+const { sendTemplate } = require('./mail');
+
+// Single entry point for notifying a user. It applies the user's
+// notification settings (models/user.js):
+// - 'in_app': a Notification is stored (and pushed to open streams)
+// - 'email': as in_app, and the message is also emailed
+// - 'off': nothing is sent
+// During quiet hours the notification is stored as silent and no email is sent.
+
+const DEFAULT_CHANNEL = 'in_app';
+
+// Account and moderation notices cannot be turned off
+const MANDATORY_TYPES = ['user_blocked', 'user_unblocked', 'warning_received', 'product_deleted'];
+
+// Quiet hours are in campus time
+const TIMEZONE = process.env.TIMEZONE || 'Asia/Kolkata';
+
+const EMAIL_SUBJECTS = {
+  offer_received: 'You received an offer',
+  offer_accepted: 'Your offer was accepted',
+  offer_countered: 'You received a counter-offer',
+  handover_completed: 'Your purchase is complete',
+  price_dropped: 'A product you saved dropped in price',
+  report_reviewed: 'Your report was reviewed',
+  user_blocked: 'Your account has been blocked',
+  warning_received: 'You received a warning'
+};
+
+// Types with their own email template (services/mail/templates.js)
+const EMAIL_TEMPLATES = {
+  offer_received: 'offerReceived',
+  user_blocked: 'accountBlocked'
+};
+
+const localTime = (date) => new Intl.DateTimeFormat('en-GB', {
+  timeZone: TIMEZONE,
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+}).format(date);
+
+const inQuietHours = (quietHours, date = new Date()) => {
+  if (!quietHours || !quietHours.enabled) return false;
+  const now = localTime(date);
+  const { start, end } = quietHours;
+  // A window like 22:00-07:00 wraps around midnight
+  return start <= end
+    ? now >= start && now < end
+    : now >= start || now < end;
+};
+
+// Channel a user receives a notification type on
+const channelFor = (settings, type) => {
+  const channel = (settings && settings.types && settings.types.get(type)) || DEFAULT_CHANNEL;
+  if (channel === 'off' && MANDATORY_TYPES.includes(type)) return DEFAULT_CHANNEL;
+  return channel;
+};
+
+// Notify a user. `fields` are the Notification fields (userId, type,
+// message, productId, offerId, reportId). Returns the stored notification,
+// or null if the user turned this type off.
+const dispatchNotification = async (fields) => {
+  const user = await User.findById(fields.userId).select('email userName notificationSettings');
+  if (!user) return null;
+
+  const settings = user.notificationSettings;
+  const channel = channelFor(settings, fields.type);
+  if (channel === 'off') return null;
+
+  const quiet = inQuietHours(settings && settings.quietHours);
+  const notification = await Notification.create({ ...fields, silent: quiet });
+
+  if (channel === 'email' && !quiet) {
+    try {
+      await sendTemplate(EMAIL_TEMPLATES[fields.type] || 'notification', user.email, {
+        userName: user.userName,
+        subject: EMAIL_SUBJECTS[fields.type] || 'New notification',
+        message: fields.message
+      });
+    } catch (err) {
+      console.error('Notification email error:', err);
+    }
+  }
+
+  return notification;
+};
+
+module.exports = {
+  DEFAULT_CHANNEL,
+  MANDATORY_TYPES,
+  channelFor,
+  inQuietHours,
+  dispatchNotification
+};
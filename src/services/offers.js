@@ -0,0 +1,366 @@
+const mongoose = require('mongoose');
+const Offer = require('../models/offer');
+const Product = require('../models/product');
+const { reservationFields } = require('./reservations');
+const { notifySavers } = require('./wishlist');
+const { syncOfferMessage } = require('./chat');
+const { dispatchNotification } = require('./notify');
+const HttpError = require('../utils/httpError');
+
+// How long an offer (or a counter-offer) stays open without a response
+const OFFER_EXPIRY_MS = (parseInt(process.env.OFFER_EXPIRY_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+const newExpiry = () => new Date(Date.now() + OFFER_EXPIRY_MS);
+
+const isSameUser = (a, b) => a && b && a.toString() === b.toString();
+
+// Keep the denormalised open offer count on the product in sync
+const refreshOfferCount = async (productId) => {
+  const offerCount = await Offer.countDocuments({
+    product: productId,
+    status: { $in: Offer.OPEN_STATUSES }
+  });
+  await Product.updateOne({ _id: productId }, { $set: { offerCount } });
+};
+
+const notify = (userId, type, message, offer) => dispatchNotification({
+  userId,
+  type,
+  message,
+  productId: offer.product._id || offer.product,
+  offerId: offer._id
+});
+
+// Show the offer's new state in the buyer and seller's chat. Best effort:
+// the offer itself is already saved.
+const syncChat = async (offerId) => {
+  try {
+    await syncOfferMessage(offerId);
+  } catch (err) {
+    console.error('Offer message sync error:', err);
+  }
+};
+
+const loadOffer = async (offerId) => {
+  if (!mongoose.Types.ObjectId.isValid(offerId)) {
+    throw new HttpError(400, 'Invalid offer ID');
+  }
+  const offer = await Offer.findById(offerId).populate('product', 'name status seller');
+  if (!offer || !offer.product || offer.product.status === 'deleted') {
+    throw new HttpError(404, 'Offer not found');
+  }
+  return offer;
+};
+
+// Place a new offer, or revise the buyer's open offer on the product.
+// A buyer answers a counter-offer the same way: by offering again.
+const placeOffer = async ({ productId, buyer, offerPrice }) => {
+  const price = parseFloat(offerPrice);
+  if (isNaN(price) || price <= 0) {
+    throw new HttpError(400, 'Valid offer price is required');
+  }
+
+  const product = await Product.findById(productId).select('name status seller');
+  if (!product || product.status === 'deleted') {
+    throw new HttpError(404, 'Product not found');
+  }
+  if (product.status !== 'available') {
+    throw new HttpError(400, 'Product is no longer available');
+  }
+  if (isSameUser(product.seller, buyer._id)) {
+    throw new HttpError(400, 'You cannot make an offer on your own product');
+  }
+
+  let offer = await Offer.findOne({
+    product: product._id,
+    buyer: buyer._id,
+    status: { $in: Offer.OPEN_STATUSES }
+  });
+
+  if (offer) {
+    offer.offerPrice = price;
+    offer.counterPrice = undefined;
+    offer.status = 'pending';
+    offer.expiresAt = newExpiry();
+  } else {
+    offer = new Offer({
+      product: product._id,
+      buyer: buyer._id,
+      seller: product.seller,
+      offerPrice: price,
+      expiresAt: newExpiry()
+    });
+  }
+  offer.history.push({ status: 'pending', price, by: buyer._id });
+  await offer.save();
+
+  await refreshOfferCount(product._id);
+  await syncChat(offer._id);
+  await notify(
+    product.seller,
+    'offer_received',
+    `You received an offer of ₹${price} for ${product.name} from ${buyer.userName}`,
+    offer
+  );
+
+  return offer;
+};
+
+// Seller proposes a different price
+const counterOffer = async ({ offerId, seller, counterPrice }) => {
+  const price = parseFloat(counterPrice);
+  if (isNaN(price) || price <= 0) {
+    throw new HttpError(400, 'Valid counter price is required');
+  }
+
+  const offer = await loadOffer(offerId);
+  if (!isSameUser(offer.seller, seller._id)) {
+    throw new HttpError(405, 'Access denied');
+  }
+  if (offer.status !== 'pending') {
+    throw new HttpError(400, `Cannot counter an offer that is ${offer.status}`);
+  }
+
+  offer.status = 'countered';
+  offer.counterPrice = price;
+  offer.respondedAt = new Date();
+  offer.expiresAt = newExpiry();
+  offer.history.push({ status: 'countered', price, by: seller._id });
+  await offer.save();
+  await syncChat(offer._id);
+
+  await notify(
+    offer.buyer,
+    'offer_countered',
+    `The seller countered your offer for ${offer.product.name} with ₹${price}`,
+    offer
+  );
+
+  return offer;
+};
+
+// Buyer takes back an open offer
+const withdrawOffer = async ({ offerId, buyer }) => {
+  const offer = await loadOffer(offerId);
+  if (!isSameUser(offer.buyer, buyer._id)) {
+    throw new HttpError(405, 'Access denied');
+  }
+  if (!offer.isOpen()) {
+    throw new HttpError(400, `Cannot withdraw an offer that is ${offer.status}`);
+  }
+
+  offer.status = 'withdrawn';
+  offer.history.push({ status: 'withdrawn', by: buyer._id });
+  await offer.save();
+  await syncChat(offer._id);
+
+  await refreshOfferCount(offer.product._id);
+  await notify(
+    offer.seller,
+    'offer_withdrawn',
+    `${buyer.userName} withdrew their offer for ${offer.product.name}`,
+    offer
+  );
+
+  return offer;
+};
+
+// Seller rejects an open offer
+const declineOffer = async ({ offerId, seller }) => {
+  const offer = await loadOffer(offerId);
+  if (!isSameUser(offer.seller, seller._id)) {
+    throw new HttpError(405, 'Access denied');
+  }
+  if (!offer.isOpen()) {
+    throw new HttpError(400, `Cannot decline an offer that is ${offer.status}`);
+  }
+
+  offer.status = 'declined';
+  offer.respondedAt = new Date();
+  offer.history.push({ status: 'declined', by: seller._id });
+  await offer.save();
+  await syncChat(offer._id);
+
+  await refreshOfferCount(offer.product._id);
+  await notify(
+    offer.buyer,
+    'offer_rejected',
+    `Your offer for ${offer.product.name} was rejected`,
+    offer
+  );
+
+  return offer;
+};
+
+// Seller accepts an open offer and the product is reserved for the buyer at
+// the offered price until the handover (see services/reservations.js).
+// Everything runs in one transaction and every write is conditional on the
+// state read before it, so two concurrent accepts cannot both succeed.
+const acceptOffer = async ({ offerId, seller }) => {
+  const existing = await loadOffer(offerId);
+  if (!isSameUser(existing.seller, seller._id)) {
+    throw new HttpError(405, 'Access denied');
+  }
+  if (!existing.isOpen()) {
+    throw new HttpError(400, `Cannot accept an offer that is ${existing.status}`);
+  }
+  if (existing.product.status !== 'available') {
+    throw new HttpError(400, 'Product is no longer available');
+  }
+
+  let offer;
+  let product;
+  let losingOffers;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const now = new Date();
+
+      offer = await Offer.findOneAndUpdate(
+        { _id: existing._id, seller: seller._id, status: { $in: Offer.OPEN_STATUSES } },
+        {
+          $set: { status: 'accepted', respondedAt: now },
+          $push: { history: { status: 'accepted', price: existing.offerPrice, by: seller._id, at: now } }
+        },
+        { new: true, session }
+      );
+      if (!offer) {
+        throw new HttpError(409, 'Offer has already been handled');
+      }
+
+      product = await Product.findOneAndUpdate(
+        { _id: offer.product, seller: seller._id, status: 'available' },
+        {
+          $set: {
+            ...reservationFields(now),
+            buyer: offer.buyer,
+            transactionPrice: offer.offerPrice,
+            offerCount: 0
+          }
+        },
+        { new: true, session }
+      );
+      if (!product) {
+        throw new HttpError(409, 'Product is no longer available');
+      }
+
+      // The remaining offers on the product can no longer be accepted
+      losingOffers = await Offer.find({
+        product: product._id,
+        _id: { $ne: offer._id },
+        status: { $in: Offer.OPEN_STATUSES }
+      }).session(session);
+
+      await Offer.updateMany(
+        { _id: { $in: losingOffers.map(o => o._id) } },
+        {
+          $set: { status: 'declined', respondedAt: now },
+          $push: { history: { status: 'declined', by: seller._id, note: 'other_offer_accepted', at: now } }
+        },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  // Chat and notifications are updated once the reservation is committed
+  await syncChat(offer._id);
+  for (const losingOffer of losingOffers) {
+    await syncChat(losingOffer._id);
+  }
+
+  try {
+    await notify(
+      offer.buyer,
+      'offer_accepted',
+      `Your offer for ${product.name} was accepted! Show your handover code to the seller when you meet to complete the purchase.`,
+      offer
+    );
+    for (const losingOffer of losingOffers) {
+      await notify(
+        losingOffer.buyer,
+        'offer_rejected',
+        `Your offer for ${product.name} was rejected because another offer was accepted`,
+        losingOffer
+      );
+    }
+  } catch (notifError) {
+    console.error('Notification creation error:', notifError);
+  }
+
+  // Only reserved for now: it is back on sale if the handover never happens
+  await notifySavers(product, {
+    type: 'saved_item_reserved',
+    message: `${product.name} you saved has been reserved by another buyer`,
+    exclude: [seller._id, offer.buyer]
+  });
+
+  return offer;
+};
+
+// Decline every open offer on a product, e.g. when the seller edits the listing
+const cancelOpenOffers = async (product, { by, note, message }) => {
+  const offers = await Offer.find({
+    product: product._id,
+    status: { $in: Offer.OPEN_STATUSES }
+  });
+
+  for (const offer of offers) {
+    offer.status = 'declined';
+    offer.respondedAt = new Date();
+    offer.history.push({ status: 'declined', by, note });
+    await offer.save();
+    await syncChat(offer._id);
+
+    try {
+      await notify(offer.buyer, 'product_updated', message, offer);
+    } catch (notifError) {
+      console.error('Notification creation error:', notifError);
+    }
+  }
+
+  await refreshOfferCount(product._id);
+  return offers.length;
+};
+
+// Mark offers nobody responded to in time as expired
+const expireStaleOffers = async () => {
+  const offers = await Offer.find({
+    status: { $in: Offer.OPEN_STATUSES },
+    expiresAt: { $lte: new Date() }
+  }).populate('product', 'name');
+
+  const productIds = new Set();
+  for (const offer of offers) {
+    offer.status = 'expired';
+    offer.history.push({ status: 'expired' });
+    await offer.save();
+    await syncChat(offer._id);
+
+    // The product itself may have been removed in the meantime
+    if (!offer.product) continue;
+    productIds.add(offer.product._id.toString());
+
+    const name = offer.product.name;
+    await notify(offer.buyer, 'offer_expired', `Your offer for ${name} has expired`, offer);
+    await notify(offer.seller, 'offer_expired', `An offer for ${name} expired without a response`, offer);
+  }
+
+  for (const productId of productIds) {
+    await refreshOfferCount(productId);
+  }
+  return offers.length;
+};
+
+module.exports = {
+  placeOffer,
+  counterOffer,
+  withdrawOffer,
+  declineOffer,
+  acceptOffer,
+  cancelOpenOffers,
+  expireStaleOffers,
+  refreshOfferCount
+};
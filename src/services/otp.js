@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const Verification = require('../models/verification');
+const HttpError = require('../utils/httpError');
+
+// Email one-time passwords for registration and password resets
+
+const OTP_TTL_MINUTES = 15;
+
+// Wrong guesses allowed before the OTP is discarded and a new one is needed
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+// Replace any pending OTP of `email` with a new one. `fields` are extra
+// Verification fields (e.g. the invite a registration uses). Returns the
+// plain OTP (to email) and the verificationId the client sends back with it.
+const createOtp = async (email, fields = {}) => {
+  await Verification.deleteMany({ email, purpose: 'email' });
+
+  const otp = crypto.randomInt(100000, 1000000).toString();
+  const verificationId = crypto.randomBytes(64).toString('hex');
+  await new Verification({
+    ...fields,
+    email,
+    otp,
+    verificationId,
+    expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+  }).save();
+
+  return { otp, verificationId };
+};
+
+// Record an email address proven some other way (a Google ID token) as
+// verified, for /register. Returns the verificationId.
+const createVerifiedEmail = async (email, fields = {}) => {
+  await Verification.deleteMany({ email, purpose: 'email' });
+
+  const verificationId = crypto.randomBytes(64).toString('hex');
+  await new Verification({
+    ...fields,
+    email,
+    verificationId,
+    verified: true,
+    expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+  }).save();
+
+  return verificationId;
+};
+
+// Check an OTP and mark its verification as verified. Every check uses up an
+// attempt, counted before comparing so parallel guesses can't exceed the limit.
+const verifyOtp = async (verificationId, otp) => {
+  if (!verificationId || !otp) {
+    throw new HttpError(400, 'OTP and verificationId are required');
+  }
+
+  const verification = await Verification.findOneAndUpdate(
+    { verificationId: String(verificationId), purpose: 'email', expiresAt: { $gt: new Date() } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!verification) {
+    throw new HttpError(400, 'Invalid or expired verification session');
+  }
+  if (verification.attempts > MAX_ATTEMPTS) {
+    await Verification.deleteOne({ _id: verification._id });
+    throw new HttpError(400, 'Too many incorrect attempts. Please request a new OTP.');
+  }
+
+  // Emails verified with Google (createVerifiedEmail) have no OTP to check
+  if (!verification.otp) {
+    throw new HttpError(400, 'Invalid or expired verification session');
+  }
+
+  const isMatch = await bcrypt.compare(String(otp), verification.otp);
+  if (!isMatch) {
+    const remaining = MAX_ATTEMPTS - verification.attempts;
+    if (remaining <= 0) {
+      await Verification.deleteOne({ _id: verification._id });
+      throw new HttpError(400, 'Too many incorrect attempts. Please request a new OTP.');
+    }
+    throw new HttpError(400, `Invalid OTP. ${remaining} attempt(s) left.`);
+  }
+
+  await Verification.updateOne({ _id: verification._id }, { $set: { verified: true } });
+  return verification;
+};
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  MAX_ATTEMPTS,
+  createOtp,
+  createVerifiedEmail,
+  verifyOtp
+};
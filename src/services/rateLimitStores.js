@@ -0,0 +1,99 @@
+const RateLimit = require('../models/rateLimit');
+
+// Counter stores for middleware/rateLimit.js, picked with RATE_LIMIT_STORE:
+// - memory (default): counters live in the process, fine for one instance
+// - mongo: counters are shared by every instance through the RateLimit
+//   collection
+// A store has increment(key, windowMs) -> { count, resetAt } (a fixed window
+// starting at the first hit) and reset(key).
+//
+// Per-IP limits key on req.ip. When the API runs behind a reverse proxy or
+// load balancer, set TRUST_PROXY (server.js) so req.ip is the client's
+// address from X-Forwarded-For; otherwise every client shares one limit.
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const memoryStore = () => {
+  const counters = new Map();
+
+  // Drop finished windows so the map doesn't grow forever
+  const prune = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, PRUNE_INTERVAL_MS);
+  prune.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    }
+  };
+};
+
+const mongoStore = () => {
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+
+    // Hit in the current window
+    let counter = await RateLimit.findOneAndUpdate(
+      { key, expiresAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true }
+    );
+
+    // The window is over (MongoDB removes expired documents with a delay)
+    if (!counter) {
+      counter = await RateLimit.findOneAndUpdate(
+        { key, expiresAt: { $lte: now } },
+        { $set: { count: 1, expiresAt: new Date(now.getTime() + windowMs) } },
+        { new: true }
+      );
+    }
+
+    // First hit
+    if (!counter) {
+      try {
+        counter = await RateLimit.create({ key, count: 1, expiresAt: new Date(now.getTime() + windowMs) });
+      } catch (err) {
+        // Another request started the window first
+        if (err.code !== 11000) throw err;
+        return increment(key, windowMs);
+      }
+    }
+
+    return { count: counter.count, resetAt: counter.expiresAt };
+  };
+
+  return {
+    increment,
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+};
+
+const stores = {
+  memory: memoryStore,
+  mongo: mongoStore
+};
+
+const createStore = (name = process.env.RATE_LIMIT_STORE || 'memory') => {
+  if (!stores[name]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${name}", use one of: ${Object.keys(stores).join(', ')}`);
+  }
+  return stores[name]();
+};
+
+module.exports = { createStore };
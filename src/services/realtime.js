@@ -0,0 +1,269 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Conversation = require('../models/conversation');
+const BlockList = require('../models/blockList');
+const { findUserByAuthCookie } = require('../middleware/auth');
+const sessionEvents = require('./sessionEvents');
+
+// WebSocket channel pushing chat messages, typing indicators and presence to
+// connected clients. Clients connect to /api/ws with the same authCookie the
+// REST API uses (cookie, auth-cookie header or ?authCookie= since browsers
+// cannot set headers on a WebSocket). Sending messages still goes through
+// POST /api/conversations/:conversationId/messages.
+//
+// Connections are tracked in memory, so every client of a conversation must
+// be connected to the same server process.
+
+const WS_PATH = '/api/ws';
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Close code sent when the session a socket was opened with is revoked
+const SESSION_REVOKED_CODE = 4001;
+
+// userId -> Set of open sockets (a user can have several devices)
+const connections = new Map();
+
+const isSameUser = (a, b) => a && b && a.toString() === b.toString();
+
+const isOnline = (userId) => connections.has(userId.toString());
+
+// True if `blocker` has blocked `blocked`. A blocker never receives chat
+// events (messages, typing, presence) from the user they blocked.
+const hasBlocked = async (blocker, blocked) => !!(await BlockList.exists({ blocker, blocked }));
+
+const send = (socket, event) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(event));
+  }
+};
+
+// Push an event to every open socket of a user
+const emitToUser = (userId, event) => {
+  const sockets = connections.get(userId.toString());
+  if (!sockets) return;
+  for (const socket of sockets) {
+    send(socket, event);
+  }
+};
+
+// Push an event from `senderId` to `recipientId`, unless the recipient has
+// blocked the sender
+const emitFromUser = async (senderId, recipientId, event) => {
+  if (!isOnline(recipientId)) return;
+  if (await hasBlocked(recipientId, senderId)) return;
+  emitToUser(recipientId, event);
+};
+
+// Deliver a chat message that was just stored ('message') or edited or
+// deleted ('message:updated') to both participants
+const emitMessage = async (conversation, message, type = 'message') => {
+  const senderId = message.sender;
+  const event = { type, conversationId: conversation._id, message };
+
+  emitToUser(senderId, event);
+  const recipientId = conversation.participants.find(p => !isSameUser(p, senderId));
+  if (recipientId) {
+    await emitFromUser(senderId, recipientId, event);
+  }
+};
+
+const readAuthCookie = (req) => {
+  const cookies = Object.fromEntries(
+    (req.headers.cookie || '')
+      .split(';')
+      .map(part => part.trim().split('='))
+      .filter(([name, value]) => name && value)
+      .map(([name, value]) => [name, decodeURIComponent(value)])
+  );
+  const url = new URL(req.url, 'http://localhost');
+  return cookies.authCookie || req.headers['auth-cookie'] || url.searchParams.get('authCookie');
+};
+
+// The other participant of every conversation of a user
+const conversationPartners = async (userId) => {
+  const conversations = await Conversation.find({ participants: userId })
+    .select('participants')
+    .lean();
+  const partners = new Set();
+  for (const conversation of conversations) {
+    for (const participant of conversation.participants) {
+      if (!isSameUser(participant, userId)) partners.add(participant.toString());
+    }
+  }
+  return [...partners];
+};
+
+const broadcastPresence = async (userId, online, lastSeen) => {
+  const event = { type: 'presence', userId, online, lastSeen };
+  for (const partnerId of await conversationPartners(userId)) {
+    await emitFromUser(userId, partnerId, event);
+  }
+};
+
+const touchLastSeen = async (userId) => {
+  const lastSeen = new Date();
+  await User.updateOne({ _id: userId }, { $set: { lastSeen } });
+  return lastSeen;
+};
+
+// Client -> server events
+
+const handleTyping = async (user, { conversationId, isTyping }) => {
+  if (!mongoose.Types.ObjectId.isValid(conversationId)) return;
+
+  const conversation = await Conversation.findById(conversationId).select('participants').lean();
+  if (!conversation || !conversation.participants.some(p => isSameUser(p, user._id))) return;
+
+  const recipientId = conversation.participants.find(p => !isSameUser(p, user._id));
+  if (!recipientId) return;
+
+  await emitFromUser(user._id, recipientId, {
+    type: 'typing',
+    conversationId,
+    userId: user._id,
+    isTyping: isTyping !== false
+  });
+};
+
+// Online status and last seen time of the given users, for the users the
+// requester shares a conversation with
+const handlePresenceQuery = async (user, { userIds }, socket) => {
+  if (!Array.isArray(userIds)) return;
+
+  const partners = await conversationPartners(user._id);
+  const ids = userIds
+    .map(String)
+    .filter(id => partners.includes(id));
+
+  const users = await User.find({ _id: { $in: ids } }).select('lastSeen').lean();
+  const blockers = await BlockList.find({ blocker: user._id, blocked: { $in: ids } })
+    .select('blocked')
+    .lean();
+  const blockedIds = blockers.map(b => b.blocked.toString());
+
+  send(socket, {
+    type: 'presence:list',
+    users: users
+      .filter(u => !blockedIds.includes(u._id.toString()))
+      .map(u => ({ userId: u._id, online: isOnline(u._id), lastSeen: u.lastSeen }))
+  });
+};
+
+const handlers = {
+  typing: handleTyping,
+  presence: handlePresenceQuery
+};
+
+const handleConnection = async (socket, user, session) => {
+  const userId = user._id.toString();
+  socket.sessionId = session._id.toString();
+  const firstConnection = !connections.has(userId);
+  if (firstConnection) connections.set(userId, new Set());
+  connections.get(userId).add(socket);
+
+  socket.isAlive = true;
+  socket.on('pong', () => { socket.isAlive = true; });
+
+  socket.on('message', async (raw) => {
+    try {
+      const event = JSON.parse(raw.toString());
+      const handler = event && handlers[event.type];
+      if (handler) {
+        await handler(user, event, socket);
+      }
+    } catch (err) {
+      send(socket, { type: 'error', error: 'Invalid event' });
+    }
+  });
+
+  socket.on('close', async () => {
+    const sockets = connections.get(userId);
+    if (!sockets) return;
+    sockets.delete(socket);
+    if (sockets.size > 0) return;
+
+    connections.delete(userId);
+    try {
+      const lastSeen = await touchLastSeen(user._id);
+      await broadcastPresence(user._id, false, lastSeen);
+    } catch (err) {
+      console.error('Presence update error:', err);
+    }
+  });
+
+  send(socket, { type: 'ready', userId });
+
+  if (firstConnection) {
+    const lastSeen = await touchLastSeen(user._id);
+    await broadcastPresence(user._id, true, lastSeen);
+  }
+};
+
+// Close the sockets and notification streams opened with sessions that were
+// just revoked (logout, "log out everywhere", password reset)
+const disconnectSessions = (sessionIds) => {
+  const revoked = new Set(sessionIds.map(String));
+  if (revoked.size === 0) return;
+  revoked.forEach(sessionId => sessionEvents.emit(sessionId));
+  for (const sockets of connections.values()) {
+    for (const socket of sockets) {
+      if (revoked.has(socket.sessionId)) {
+        socket.close(SESSION_REVOKED_CODE, 'Session revoked');
+      }
+    }
+  }
+};
+
+// Attach the WebSocket server to the HTTP server returned by app.listen()
+const initRealtime = (server) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    if (new URL(req.url, 'http://localhost').pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    try {
+      const { user, session, error } = await findUserByAuthCookie(readAuthCookie(req));
+      if (error || user.isBlocked || user.role === 'volunteer_pending') {
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+        return;
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        handleConnection(ws, user, session).catch(err => console.error('WebSocket connection error:', err));
+      });
+    } catch (err) {
+      console.error('WebSocket authentication error:', err);
+      socket.destroy();
+    }
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+module.exports = {
+  initRealtime,
+  emitToUser,
+  emitFromUser,
+  emitMessage,
+  disconnectSessions,
+  isOnline
+};
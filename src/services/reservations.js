@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const Offer = require('../models/offer');
+const User = require('../models/user');
+const { dispatchNotification } = require('./notify');
+const HttpError = require('../utils/httpError');
+const { notifySavers } = require('./wishlist');
+const { syncOfferMessage } = require('./chat');
+
+// How long the buyer and seller have to meet before the product is released
+const RESERVATION_WINDOW_MS = (parseFloat(process.env.RESERVATION_WINDOW_HOURS) || 48) * 60 * 60 * 1000;
+
+// No 0/O or 1/I, the code is read out loud or typed on a phone
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const generateHandoverCode = () => {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Fields set on a product when an offer on it is accepted
+const reservationFields = (now = new Date()) => ({
+  status: 'reserved',
+  reservedAt: now,
+  reservationExpiresAt: new Date(now.getTime() + RESERVATION_WINDOW_MS),
+  handoverCode: generateHandoverCode()
+});
+
+// Handover code shown to the buyer of a reserved product
+const getHandoverCode = async ({ productId, buyer }) => {
+  const product = await Product.findById(productId).select('+handoverCode status buyer reservationExpiresAt');
+  if (!product || product.status === 'deleted') {
+    throw new HttpError(404, 'Product not found');
+  }
+  if (!product.buyer || product.buyer.toString() !== buyer._id.toString()) {
+    throw new HttpError(405, 'Access denied');
+  }
+  if (product.status !== 'reserved') {
+    throw new HttpError(400, 'Product is not reserved');
+  }
+  return { code: product.handoverCode, expiresAt: product.reservationExpiresAt };
+};
+
+// Seller enters the code shown by the buyer and the sale is completed
+const completeHandover = async ({ productId, seller, code }) => {
+  const existing = await Product.findById(productId).select('+handoverCode status seller');
+  if (!existing || existing.status === 'deleted') {
+    throw new HttpError(404, 'Product not found');
+  }
+  if (existing.seller.toString() !== seller._id.toString()) {
+    throw new HttpError(405, 'Access denied');
+  }
+  if (existing.status !== 'reserved') {
+    throw new HttpError(400, 'Product is not reserved');
+  }
+
+  const given = Buffer.from(normalizeCode(code));
+  const expected = Buffer.from(existing.handoverCode || '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new HttpError(400, 'Invalid handover code');
+  }
+
+  let product;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      product = await Product.findOneAndUpdate(
+        { _id: existing._id, seller: seller._id, status: 'reserved', handoverCode: existing.handoverCode },
+        {
+          $set: { status: 'sold', transactionDate: new Date() },
+          $unset: { handoverCode: '', reservationExpiresAt: '' }
+        },
+        { new: true, session }
+      );
+      if (!product) {
+        throw new HttpError(409, 'Reservation is no longer active');
+      }
+
+      await User.updateOne(
+        { _id: seller._id },
+        { $addToSet: { soldProducts: product._id } },
+        { session }
+      );
+      await User.updateOne(
+        { _id: product.buyer },
+        { $addToSet: { purchasedProducts: product._id } },
+        { session }
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  try {
+    await dispatchNotification({
+      userId: product.buyer,
+      type: 'handover_completed',
+      message: `Your purchase of ${product.name} is complete`,
+      productId: product._id
+    });
+  } catch (notifError) {
+    console.error('Notification creation error:', notifError);
+  }
+
+  await notifySavers(product, {
+    type: 'saved_item_sold',
+    message: `${product.name} you saved has been sold`,
+    exclude: [seller._id, product.buyer]
+  });
+
+  return product;
+};
+
+// Put reserved products that were never handed over back on sale
+const releaseExpiredReservations = async () => {
+  const products = await Product.find({
+    status: 'reserved',
+    reservationExpiresAt: { $lte: new Date() }
+  }).select('name seller buyer');
+
+  let released = 0;
+  for (const expired of products) {
+    const product = await Product.findOneAndUpdate(
+      { _id: expired._id, status: 'reserved', reservationExpiresAt: { $lte: new Date() } },
+      {
+        $set: { status: 'available' },
+        $unset: { buyer: '', transactionPrice: '', reservedAt: '', reservationExpiresAt: '', handoverCode: '' }
+      }
+    );
+    if (!product) continue;
+    released++;
+
+    const offer = await Offer.findOneAndUpdate(
+      { product: product._id, buyer: expired.buyer, status: 'accepted' },
+      {
+        $set: { status: 'expired' },
+        $push: { history: { status: 'expired', note: 'reservation_expired', at: new Date() } }
+      },
+      { sort: { respondedAt: -1 } }
+    );
+    if (offer) {
+      try {
+        await syncOfferMessage(offer._id);
+      } catch (err) {
+        console.error('Offer message sync error:', err);
+      }
+    }
+
+    for (const userId of [expired.buyer, expired.seller]) {
+      await dispatchNotification({
+        userId,
+        type: 'reservation_expired',
+        message: `The reservation for ${expired.name} expired before the handover and it is available again`,
+        productId: expired._id,
+        offerId: offer ? offer._id : undefined
+      });
+    }
+
+    await notifySavers(expired, {
+      type: 'saved_item_available',
+      message: `${expired.name} you saved is available again`,
+      exclude: [expired.seller, expired.buyer]
+    });
+  }
+  return released;
+};
+
+module.exports = {
+  reservationFields,
+  getHandoverCode,
+  completeHandover,
+  releaseExpiredReservations
+};
@@ -0,0 +1,115 @@
+const SavedSearch = require('../models/savedSearch');
+const Product = require('../models/product');
+const { dispatchNotification } = require('./notify');
+const { sendTemplate } = require('./mail');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Products listed in one digest email, per user
+const MAX_DIGEST_PRODUCTS = 20;
+
+// Saved searches whose category and price bounds admit the product;
+// keywords are checked afterwards with SavedSearch#matches
+const candidateQuery = (product) => ({
+  user: { $ne: product.seller },
+  $and: [
+    { $or: [{ category: null }, { category: product.category }] },
+    { $or: [{ maxPrice: null }, { maxPrice: { $gte: product.price } }] }
+  ]
+});
+
+// Tell the owners of matching saved searches about a newly listed product
+const notifyMatchingSearches = async (product) => {
+  try {
+    const searches = await SavedSearch.find(candidateQuery(product));
+
+    const notified = new Set();
+    for (const search of searches) {
+      const userId = search.user.toString();
+      if (notified.has(userId) || !search.matches(product)) continue;
+      notified.add(userId);
+
+      await dispatchNotification({
+        userId: search.user,
+        type: 'saved_search_match',
+        message: `New listing matching "${search.name || search.keywords}": ${product.name} for ₹${product.price}`,
+        productId: product._id
+      });
+    }
+    return notified.size;
+  } catch (err) {
+    // Alerts are best effort and must not fail the listing
+    console.error('Saved search notification error:', err);
+    return 0;
+  }
+};
+
+// Email each opted-in user the products listed since their last digest.
+// Runs more often than daily; a search is only picked up once a day.
+const sendSavedSearchDigests = async () => {
+  const now = new Date();
+  const searches = await SavedSearch.find({
+    emailDigest: true,
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: new Date(now - DAY) } }]
+  }).populate('user', 'userName email isBlocked');
+
+  // Group the searches by user so each user gets a single email
+  const byUser = new Map();
+  for (const search of searches) {
+    if (!search.user || search.user.isBlocked) continue;
+    const key = search.user._id.toString();
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(search);
+  }
+
+  let sent = 0;
+  for (const userSearches of byUser.values()) {
+    const user = userSearches[0].user;
+    const matches = [];
+    const seen = new Set();
+
+    for (const search of userSearches) {
+      const since = search.lastDigestAt || search.createdAt;
+      const products = await Product.find({
+        status: 'available',
+        seller: { $ne: user._id },
+        createdAt: { $gt: since },
+        ...(search.category ? { category: search.category } : {}),
+        ...(search.maxPrice !== null ? { price: { $lte: search.maxPrice } } : {})
+      })
+        .select('name description price category')
+        .sort({ createdAt: -1 })
+        .limit(200)
+        .lean();
+
+      for (const product of products) {
+        const id = product._id.toString();
+        if (seen.has(id) || !search.matches(product)) continue;
+        seen.add(id);
+        matches.push({ search, product });
+      }
+    }
+
+    if (matches.length > 0) {
+      try {
+        await sendTemplate('savedSearchDigest', user.email, {
+          userName: user.userName,
+          matches: matches.slice(0, MAX_DIGEST_PRODUCTS),
+          total: matches.length
+        });
+        sent++;
+      } catch (err) {
+        console.error('Saved search digest email error:', err);
+        continue;
+      }
+    }
+
+    await SavedSearch.updateMany(
+      { _id: { $in: userSearches.map(s => s._id) } },
+      { $set: { lastDigestAt: now } }
+    );
+  }
+  return sent;
+};
+
+module.exports = { notifyMatchingSearches, sendSavedSearchDigests };
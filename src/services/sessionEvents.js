@@ -0,0 +1,12 @@
+const { EventEmitter } = require('events');
+
+// In-process bus of revoked sessions, fed by disconnectSessions() in
+// services/realtime.js so that long-lived HTTP streams (GET
+// /api/notifications/stream) close like the WebSockets do. Events are named
+// after the session ID.
+const sessionEvents = new EventEmitter();
+
+// One listener per open stream, there can be many
+sessionEvents.setMaxListeners(0);
+
+module.exports = sessionEvents;
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const Session = require('../models/session');
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// lastUsedAt is only written when it is older than this, so authenticated
+// requests don't each cost a database write
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+const MAX_USER_AGENT_LENGTH = 300;
+
+// Start a session for a user on the device making the request. Returns the
+// session and the token to hand to the client; the token is not stored.
+const createSession = async (user, req) => {
+  const token = crypto.randomBytes(64).toString('hex');
+  const userAgent = req.get('user-agent');
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: Session.hashToken(token),
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+    ip: req.ip || null,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS)
+  });
+  return { session, token };
+};
+
+// Set the auth cookie for a new session
+const setSessionCookie = (res, token) => {
+  res.cookie('authCookie', token, {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'none',
+    maxAge: SESSION_TTL_MS
+  });
+};
+
+// The unexpired session a token belongs to, or null
+const findSession = async (token) => {
+  if (!token) return null;
+  return Session.findOne({
+    tokenHash: Session.hashToken(token),
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const touchSession = async (session) => {
+  const now = new Date();
+  if (now - session.lastUsedAt < LAST_USED_RESOLUTION_MS) return;
+  session.lastUsedAt = now;
+  await Session.updateOne({ _id: session._id }, { $set: { lastUsedAt: now } });
+};
+
+// Delete the sessions matching `query` (always scoped to a user by the
+// caller). Returns the IDs of the deleted sessions.
+const revokeSessions = async (query) => {
+  const sessions = await Session.find(query).select('_id').lean();
+  const ids = sessions.map(s => s._id);
+  if (ids.length > 0) {
+    await Session.deleteMany({ _id: { $in: ids } });
+  }
+  return ids;
+};
+
+module.exports = {
+  SESSION_TTL_MS,
+  createSession,
+  setSessionCookie,
+  findSession,
+  touchSession,
+  revokeSessions
+};
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const User = require('../models/user');
+const Verification = require('../models/verification');
+const SiteSetting = require('../models/siteSetting');
+const HttpError = require('../utils/httpError');
+const { MAX_ATTEMPTS } = require('./otp');
+const { lockoutMinutesLeft, recordFailedLogin, clearFailedLogins } = require('./accountLockout');
+const { generateSecret, verifyTotp, otpauthUri } = require('./totp');
+
+// Optional TOTP two-factor authentication. Enrolment is two steps (setup
+// shows a secret, enable confirms it with a first code). At login, a user
+// with 2FA gets a pending 'login_2fa' Verification instead of a session and
+// completes it with a code or a one-time recovery code.
+
+// Whether admins must use 2FA is a site setting admins can change
+// (models/siteSetting.js); REQUIRE_ADMIN_2FA=true is the default until then
+const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA === 'true';
+const ISSUER = process.env.TOTP_ISSUER || 'OLX for IITRPR';
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_MINUTES = 5;
+
+// Read on every check rather than cached, so a change applies at once on
+// every server instance
+const isAdminTwoFactorRequired = async () => {
+  const settings = await SiteSetting.findById('site').select('requireAdmin2FA').lean();
+  return settings && settings.requireAdmin2FA !== null ? settings.requireAdmin2FA : REQUIRE_ADMIN_2FA;
+};
+
+const setAdminTwoFactorRequired = async (required, admin) => {
+  await SiteSetting.updateOne(
+    { _id: 'site' },
+    { $set: { requireAdmin2FA: required, updatedBy: admin._id } },
+    { upsert: true }
+  );
+};
+
+const isTwoFactorRequired = async (user) => user.role === 'admin' && await isAdminTwoFactorRequired();
+
+// The one admin check: an admin who also meets the 2FA requirement. Every
+// admin-only action goes through this (middleware/isAdmin.js and the inline
+// checks elsewhere), so the requirement can't be bypassed.
+const hasAdminAccess = async (user) => !!user && user.role === 'admin' &&
+  (!!(user.twoFactor && user.twoFactor.enabled) || !(await isTwoFactorRequired(user)));
+
+// Recovery codes look like "3f9a1-c07be"; dashes, spaces and case are ignored
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Start enrolment: a new secret to add to an authenticator app
+const startSetup = async (user) => {
+  if (user.twoFactor && user.twoFactor.enabled) {
+    throw new HttpError(400, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+  return {
+    secret,
+    otpauthUri: otpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+  };
+};
+
+// Finish enrolment with a code from the app. Returns the recovery codes,
+// which are only ever shown here and when regenerated.
+const enableTwoFactor = async (user, code) => {
+  const stored = await User.findById(user._id).select('+twoFactor.pendingSecret twoFactor.enabled');
+  if (stored.twoFactor.enabled) {
+    throw new HttpError(400, 'Two-factor authentication is already enabled');
+  }
+  if (!stored.twoFactor.pendingSecret) {
+    throw new HttpError(400, 'Start two-factor setup first');
+  }
+
+  const step = verifyTotp(stored.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new HttpError(400, 'Invalid code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  const result = await User.updateOne(
+    { _id: user._id, 'twoFactor.enabled': { $ne: true } },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': stored.twoFactor.pendingSecret,
+        'twoFactor.recoveryCodes': hashes,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    }
+  );
+  if (result.modifiedCount === 0) {
+    throw new HttpError(400, 'Two-factor authentication is already enabled');
+  }
+  return codes;
+};
+
+// Check a second factor: an authenticator `code` or a `recoveryCode` (used up
+// on success). Both are consumed atomically, so neither works twice.
+const checkSecondFactor = async (userId, { code, recoveryCode }) => {
+  if (code) {
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) return false;
+
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null) return false;
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  return false;
+};
+
+// Turn 2FA off. Needs the password and a second factor, so a stolen session
+// alone can't remove it.
+const disableTwoFactor = async (user, { password, code, recoveryCode }) => {
+  const stored = await User.findById(user._id).select('+password twoFactor.enabled');
+  if (!stored.twoFactor.enabled) {
+    throw new HttpError(400, 'Two-factor authentication is not enabled');
+  }
+  if (!password || !(await bcrypt.compare(String(password), stored.password))) {
+    throw new HttpError(401, 'Incorrect password');
+  }
+  if (!(await checkSecondFactor(user._id, { code, recoveryCode }))) {
+    throw new HttpError(401, 'Invalid code');
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { 'twoFactor.enabled': false, 'twoFactor.lastUsedStep': 0, 'twoFactor.enabledAt': null },
+      $unset: { 'twoFactor.secret': '', 'twoFactor.pendingSecret': '', 'twoFactor.recoveryCodes': '' }
+    }
+  );
+};
+
+// Replace all recovery codes, after checking an authenticator code
+const regenerateRecoveryCodes = async (user, code) => {
+  if (!user.twoFactor || !user.twoFactor.enabled) {
+    throw new HttpError(400, 'Two-factor authentication is not enabled');
+  }
+  if (!(await checkSecondFactor(user._id, { code }))) {
+    throw new HttpError(401, 'Invalid code');
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': hashes } });
+  return codes;
+};
+
+const recoveryCodesLeft = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+  return user && user.twoFactor.recoveryCodes ? user.twoFactor.recoveryCodes.length : 0;
+};
+
+// First login step passed (password or Google): park the login until the
+// second factor is given. Returns the verificationId for /login/2fa.
+const createLoginChallenge = async (user) => {
+  const verificationId = crypto.randomBytes(64).toString('hex');
+  await new Verification({
+    purpose: 'login_2fa',
+    user: user._id,
+    email: user.email,
+    verificationId,
+    expiresAt: new Date(Date.now() + LOGIN_CHALLENGE_MINUTES * 60 * 1000)
+  }).save();
+  return verificationId;
+};
+
+// Second login step. Returns the user to start a session for. Like OTPs, a
+// pending login allows a limited number of wrong codes. Wrong codes also
+// count towards the account lockout, so logging in again for a fresh
+// challenge doesn't give unlimited guesses.
+const completeLoginChallenge = async (verificationId, { code, recoveryCode }, req) => {
+  if (!verificationId || (!code && !recoveryCode)) {
+    throw new HttpError(400, 'verificationId and a code or recovery code are required');
+  }
+
+  const verification = await Verification.findOneAndUpdate(
+    { verificationId: String(verificationId), purpose: 'login_2fa', expiresAt: { $gt: new Date() } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!verification) {
+    throw new HttpError(400, 'Invalid or expired login. Please log in again.');
+  }
+
+  const user = await User.findById(verification.user)
+    .select('userName email role failedLoginAttempts lockUntil');
+  if (!user) {
+    await Verification.deleteOne({ _id: verification._id });
+    throw new HttpError(400, 'Invalid or expired login. Please log in again.');
+  }
+
+  const minutesLeft = lockoutMinutesLeft(user);
+  if (minutesLeft > 0) {
+    await Verification.deleteOne({ _id: verification._id });
+    throw new HttpError(423, `Too many failed login attempts. Account locked, try again in ${minutesLeft} minute(s).`);
+  }
+
+  const valid = verification.attempts <= MAX_ATTEMPTS &&
+    await checkSecondFactor(verification.user, { code, recoveryCode });
+  if (!valid) {
+    const locked = await recordFailedLogin(user, req);
+    if (locked || verification.attempts >= MAX_ATTEMPTS) {
+      await Verification.deleteOne({ _id: verification._id });
+    }
+    if (locked) {
+      throw new HttpError(423, 'Too many failed login attempts. Account temporarily locked.');
+    }
+    if (verification.attempts >= MAX_ATTEMPTS) {
+      throw new HttpError(401, 'Too many incorrect codes. Please log in again.');
+    }
+    throw new HttpError(401, 'Invalid code');
+  }
+
+  await Verification.deleteOne({ _id: verification._id });
+  await clearFailedLogins(user);
+  return user;
+};
+
+module.exports = {
+  REQUIRE_ADMIN_2FA,
+  isAdminTwoFactorRequired,
+  setAdminTwoFactorRequired,
+  isTwoFactorRequired,
+  hasAdminAccess,
+  startSetup,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  recoveryCodesLeft,
+  createLoginChallenge,
+  completeLoginChallenge
+};
@@ -0,0 +1,29 @@
+const User = require('../models/user');
+const { dispatchNotification } = require('./notify');
+
+// Notify every user who saved the product, except the ones in `exclude`
+// (typically the seller, or the buyer who caused the change)
+const notifySavers = async (product, { type, message, exclude = [] }) => {
+  try {
+    const savers = await User.find({
+      savedProducts: product._id,
+      _id: { $nin: exclude.filter(Boolean) }
+    }).select('_id').lean();
+
+    for (const saver of savers) {
+      await dispatchNotification({
+        userId: saver._id,
+        type,
+        message,
+        productId: product._id
+      });
+    }
+    return savers.length;
+  } catch (err) {
+    // Alerts are best effort and must not fail the seller's action
+    console.error('Saved product notification error:', err);
+    return 0;
+  }
+};
+
+module.exports = { notifySavers };
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Opaque cursors for keyset pagination.
+// A cursor holds the sort value and _id of the last item of a page, encoded
+// as base64url JSON so clients treat it as an opaque string.
+
+const encodeCursor = (doc, field) => {
+  if (!doc) return null;
+  const value = doc[field] === undefined ? null : doc[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Returns { value, id } or null if the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+    return {
+      value: payload.d ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Builds the filter selecting items that come after the cursor when sorted
+// by { [field]: direction, _id: direction }
+const cursorFilter = (decoded, field, direction) => {
+  const op = direction === 1 ? '$gt' : '$lt';
+  if (field === '_id') {
+    return { _id: { [op]: decoded.id } };
+  }
+  return {
+    $or: [
+      { [field]: { [op]: decoded.value } },
+      { [field]: decoded.value, _id: { [op]: decoded.id } }
+    ]
+  };
+};
+
+module.exports = { encodeCursor, decodeCursor, cursorFilter };
@@ -0,0 +1,11 @@
+// Error carrying an HTTP status, thrown by services and turned into a JSON
+// response by the route (or by middleware/error.js)
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+module.exports = HttpError;